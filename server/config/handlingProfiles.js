@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Sensor readings that handling limits can apply to, and the bounds each one takes.
+// Temperature in °C, humidity in %RH, shock in g, light in lux.
+export const HANDLING_METRICS = {
+  temperature: ['min', 'max'],
+  humidity: ['min', 'max'],
+  shock: ['max'],
+  light: ['max']
+};
+
+// Metrics whose readings are one-off events (a knock) rather than a level that persists,
+// so each reading past the limit is its own violation
+export const INSTANT_METRICS = ['shock'];
+
+// Handling templates a package can name instead of spelling out its own limits
+const DEFAULT_PROFILES = {
+  frozen: { temperature: { min: -25, max: -15 } },
+  chilled: { temperature: { min: 2, max: 8 } },
+  ambient: { temperature: { min: 15, max: 25 }, humidity: { max: 60 } },
+  fragile: { shock: { max: 5 } },
+  light_sensitive: { light: { max: 50 } }
+};
+
+/**
+ * Lists what is wrong with a set of handling limits, e.g. `{ temperature: { min: 2, max: 8 } }`.
+ * @returns {string[]} Problems found; empty when the limits are valid.
+ */
+export const validateLimits = (limits) => {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return ['limits must be an object'];
+
+  return Object.entries(limits).flatMap(([metric, bounds]) => {
+    const allowed = HANDLING_METRICS[metric];
+    if (!allowed) return [`unknown metric ${metric}`];
+    if (!bounds || typeof bounds !== 'object' || Array.isArray(bounds)) return [`${metric} must be an object`];
+
+    const problems = Object.entries(bounds)
+      .filter(([bound, value]) => !allowed.includes(bound) || !Number.isFinite(value))
+      .map(([bound]) => `${metric}.${bound} must be one of ${allowed.join(', ')} with a numeric value`);
+
+    if (Object.keys(bounds).length === 0) problems.push(`${metric} needs at least one of ${allowed.join(', ')}`);
+    if (bounds.min > bounds.max) problems.push(`${metric}.min is above ${metric}.max`);
+    return problems;
+  });
+};
+
+// HANDLING_PROFILES_PATH may point to a JSON file of { name: limits } that adds to or
+// replaces the default profiles
+const loadProfiles = () => {
+  const profilesPath = process.env.HANDLING_PROFILES_PATH;
+  if (!profilesPath) return DEFAULT_PROFILES;
+
+  const overrides = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', profilesPath), 'utf8'));
+  const invalid = Object.entries(overrides)
+    .map(([name, limits]) => [name, validateLimits(limits)])
+    .filter(([, problems]) => problems.length > 0);
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid handling profiles in ${profilesPath}: ${invalid.map(([name, problems]) => `${name} (${problems.join('; ')})`).join(', ')}`);
+  }
+
+  return { ...DEFAULT_PROFILES, ...overrides };
+};
+
+export const HANDLING_PROFILES = loadProfiles();
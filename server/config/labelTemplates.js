@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Label stock sizes in millimetres, portrait
+const DEFAULT_TEMPLATES = {
+  '4x6': { width: 101.6, height: 152.4 },
+  '4x4': { width: 101.6, height: 101.6 },
+  a6: { width: 105, height: 148 },
+  '100x150': { width: 100, height: 150 }
+};
+
+export const MIN_LABEL_MM = 50;
+export const MAX_LABEL_MM = 300;
+
+const isValidTemplate = (template) => [template?.width, template?.height]
+  .every(mm => Number.isFinite(mm) && mm >= MIN_LABEL_MM && mm <= MAX_LABEL_MM);
+
+// LABEL_TEMPLATES_PATH may point to a JSON file of { name: { width, height } } (mm)
+// that adds to or replaces the default sizes
+const loadTemplates = () => {
+  const templatesPath = process.env.LABEL_TEMPLATES_PATH;
+  if (!templatesPath) return DEFAULT_TEMPLATES;
+
+  const overrides = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', templatesPath), 'utf8'));
+  const invalid = Object.keys(overrides).filter(name => !isValidTemplate(overrides[name]));
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid label templates in ${templatesPath} (width and height must be ${MIN_LABEL_MM}-${MAX_LABEL_MM} mm): ${invalid.join(', ')}`);
+  }
+
+  return { ...DEFAULT_TEMPLATES, ...overrides };
+};
+
+export const LABEL_TEMPLATES = loadTemplates();
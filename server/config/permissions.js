@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Every permission the API checks. A role may also be granted `<permission>:own`,
+ * which allows the action only on resources the user owns (see middleware/authorize.js).
+ */
+export const PERMISSIONS = [
+  'package:read',
+  'package:create',
+  'package:update',
+  'package:status_override',
+  'package:delete',
+  'package:return',
+  'package:scan',
+  'shipment:manage',
+  'user:read',
+  'user:manage',
+  'user:impersonate',
+  'apikey:manage',
+  'audit:read',
+  'fraud:review',
+  'organization:manage',
+  'organization:all',
+  'facility:manage',
+  'token:spend',
+  'ledger:read',
+  'ledger:query',
+  'ledger:invoke',
+  'iot:read',
+  'iot:command',
+  'analytics:read',
+  'analytics:manage'
+];
+
+// Default role → permission policy. '*' grants every permission.
+const DEFAULT_POLICY = {
+  customer: [
+    'package:read',
+    'package:return',
+    'token:spend',
+    'ledger:read',
+    'analytics:read'
+  ],
+  seller: [
+    'package:read',
+    'package:create',
+    'package:update:own',
+    'package:scan:own',
+    'package:return',
+    'shipment:manage',
+    'token:spend',
+    'ledger:read',
+    'ledger:query',
+    'iot:read',
+    'analytics:read'
+  ],
+  logistics: [
+    'package:read',
+    'package:update',
+    'package:scan',
+    'shipment:manage',
+    'token:spend',
+    'ledger:read',
+    'ledger:query',
+    'iot:read',
+    'iot:command',
+    'analytics:read'
+  ],
+  admin: ['*']
+};
+
+// PERMISSION_POLICY_PATH may point to a JSON file of { role: [permissions] } that replaces
+// the defaults for the roles it lists
+const loadPolicy = () => {
+  const policyPath = process.env.PERMISSION_POLICY_PATH;
+  if (!policyPath) return DEFAULT_POLICY;
+
+  const overrides = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', policyPath), 'utf8'));
+  const unknown = Object.values(overrides)
+    .flat()
+    .filter(permission => permission !== '*' && !PERMISSIONS.includes(permission.replace(/:own$/, '')));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions in ${policyPath}: ${unknown.join(', ')}`);
+  }
+
+  return { ...DEFAULT_POLICY, ...overrides };
+};
+
+export const ROLE_PERMISSIONS = loadPolicy();
@@ -1,3 +1,5 @@
+// Load .env before any module reads its configuration at import time
+import 'dotenv/config';
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
@@ -6,7 +8,6 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,26 +16,53 @@ import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
 import packageRoutes from './routes/packages.js';
 import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import organizationRoutes from './routes/organizations.js';
+import auditRoutes from './routes/audit.js';
+import invitationRoutes from './routes/invitations.js';
+import notificationRoutes from './routes/notifications.js';
+import returnReviewRoutes from './routes/returnReviews.js';
+import facilityRoutes from './routes/facilities.js';
+import shipmentRoutes from './routes/shipments.js';
+import publicTrackingRoutes from './routes/publicTracking.js';
 import blockchainRoutes from './routes/blockchain.js';
 import iotRoutes from './routes/iot.js';
 import analyticsRoutes from './routes/analytics.js';
 
 // Import middleware
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, authenticateUser, forbidImpersonation } from './middleware/auth.js';
+import { requirePermission } from './middleware/authorize.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { assignRequestId } from './middleware/requestId.js';
 
 // Import services
 import { initializeBlockchain } from './services/blockchain.js';
 import { initializeIoT } from './services/iot.js';
+import { startNotificationWorker } from './services/notifications.js';
 
 // Import models
 import './models/User.js';
-import './models/Package.js';
+import Package from './models/Package.js';
 import './models/Transaction.js';
 import './models/Token.js';
 import './models/Leaderboard.js';
-
-dotenv.config();
+import './models/Session.js';
+import './models/OneTimeToken.js';
+import './models/MailOutbox.js';
+import './models/SecurityEvent.js';
+import './models/ApiKey.js';
+import './models/Organization.js';
+import './models/Device.js';
+import './models/AuditEvent.js';
+import './models/OidcLoginState.js';
+import './models/Invitation.js';
+import './models/Notification.js';
+import './models/PushSubscription.js';
+import './models/ReturnAssessment.js';
+import './models/Facility.js';
+import './models/Shipment.js';
+import './models/TransitLane.js';
+import './models/TrackingLink.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -59,6 +87,7 @@ const limiter = rateLimit({
 });
 
 // Middleware
+app.use(assignRequestId);
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:8080",
@@ -84,12 +113,24 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+// Each router requires a baseline permission; routes add finer-grained checks.
+// authenticateToken also accepts API keys; authenticateUser is for signed-in people only.
 app.use('/api/auth', authRoutes);
-app.use('/api/packages', authenticateToken, packageRoutes);
-app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/blockchain', authenticateToken, blockchainRoutes);
-app.use('/api/iot', authenticateToken, iotRoutes);
-app.use('/api/analytics', authenticateToken, analyticsRoutes);
+// Shared tracking links; the signed token in the URL is the only credential
+app.use('/api/public/track', publicTrackingRoutes);
+app.use('/api/packages', authenticateToken, requirePermission('package:read'), packageRoutes);
+app.use('/api/shipments', authenticateToken, requirePermission('package:read'), shipmentRoutes);
+app.use('/api/users', authenticateUser, userRoutes);
+app.use('/api/api-keys', authenticateUser, forbidImpersonation, requirePermission('apikey:manage'), apiKeyRoutes);
+app.use('/api/organizations', authenticateUser, organizationRoutes);
+app.use('/api/facilities', authenticateUser, facilityRoutes);
+app.use('/api/invitations', authenticateUser, invitationRoutes);
+app.use('/api/notifications', authenticateUser, notificationRoutes);
+app.use('/api/audit', authenticateUser, requirePermission('audit:read'), auditRoutes);
+app.use('/api/return-reviews', authenticateUser, requirePermission('fraud:review'), returnReviewRoutes);
+app.use('/api/blockchain', authenticateToken, requirePermission('ledger:read'), blockchainRoutes);
+app.use('/api/iot', authenticateToken, requirePermission('iot:read'), iotRoutes);
+app.use('/api/analytics', authenticateToken, requirePermission('analytics:read'), analyticsRoutes);
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
@@ -158,6 +199,10 @@ const startServer = async () => {
     // Initialize services
     await initializeBlockchain(); // Ensure Fabric connection is up before starting server
     initializeIoT();
+    startNotificationWorker();
+    Package.backfillEnvironmentalScores()
+      .then(count => count > 0 && console.log(`🌱 Stored environmental scores for ${count} packages`))
+      .catch(error => console.error('Environmental score backfill error:', error));
     
     // Start server
     server.listen(PORT, () => {
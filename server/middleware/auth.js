@@ -1,9 +1,61 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import { hasPermission } from './authorize.js';
+import { recordAudit } from '../services/audit.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'packchain-super-secret-key-2024';
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const CHALLENGE_TOKEN_TTL_MS = 5 * 60 * 1000;
 
-export const authenticateToken = async (req, res, next) => {
+// Resolve the user behind an access token, rejecting revoked or expired sessions
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sessionId) return { reason: 'session' };
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive || !session.user.equals(decoded.userId)) {
+    return { reason: 'session' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || !user.isActive) return { reason: 'user' };
+
+  // Impersonation tokens stay valid only while the admin who started them still could
+  if (session.impersonator) {
+    if (String(session.impersonator) !== decoded.impersonatorId) return { reason: 'session' };
+
+    const impersonator = await User.findById(session.impersonator).select('-password');
+    if (!impersonator || !impersonator.isActive || !hasPermission(impersonator, 'user:impersonate')) {
+      return { reason: 'session' };
+    }
+
+    return { user, session, impersonator };
+  }
+
+  return { user, session };
+};
+
+// Record every request made while impersonating, once its outcome is known
+const trackImpersonation = (req, res) => {
+  res.on('finish', () => {
+    recordAudit(req, {
+      action: 'impersonation.request',
+      target: { type: 'user', id: req.user._id },
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        sessionId: req.sessionId
+      }
+    });
+  });
+};
+
+// Authenticate a signed-in user by access token (JWT only; API keys are rejected)
+export const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -15,12 +67,16 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
+    const { user, session, impersonator, reason } = await resolveAccessToken(token);
+
+    if (reason === 'session') {
+      return res.status(401).json({ 
+        error: 'Session revoked',
+        message: 'This session has been signed out. Please log in again.'
+      });
+    }
+
+    if (!user) {
       return res.status(401).json({ 
         error: 'Invalid token',
         message: 'User not found or account deactivated'
@@ -28,6 +84,11 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
+    if (impersonator) {
+      req.impersonator = impersonator;
+      trackImpersonation(req, res);
+    }
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -52,14 +113,95 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
+// Authenticate either a user (JWT) or a machine client (API key).
+// Keys are sent as `X-API-Key: pk_...` or `Authorization: Bearer pk_...`.
+export const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const bearer = authHeader && authHeader.split(' ')[1];
+  const rawKey = req.headers['x-api-key'] || (ApiKey.looksLikeKey(bearer) ? bearer : null);
+
+  if (!rawKey) {
+    return authenticateUser(req, res, next);
+  }
+
+  try {
+    const apiKey = await ApiKey.findByRawKey(rawKey);
+    if (!apiKey) {
+      return res.status(401).json({ 
+        error: 'Invalid API key',
+        message: 'API key is invalid, expired or has been revoked'
+      });
+    }
+
+    const owner = await User.findById(apiKey.owner).select('-password');
+    if (!owner || !owner.isActive) {
+      return res.status(401).json({ 
+        error: 'Invalid API key',
+        message: 'The account that owns this API key is deactivated'
+      });
+    }
+
+    apiKey.recordUsage(req.ip).catch(error => console.error('API key usage tracking error:', error));
+
+    req.user = owner;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    return res.status(500).json({ 
+      error: 'Authentication error',
+      message: 'Internal server error during authentication'
+    });
+  }
+};
+
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Access token for an admin acting as another user; carries both IDs and lives only as long as the impersonation
+export const generateImpersonationToken = (userId, sessionId, impersonatorId, expiresInSeconds) => {
+  return jwt.sign(
+    { userId, sessionId, impersonatorId: String(impersonatorId) },
+    JWT_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+};
+
+// Short-lived token for an unfinished login step (e.g. a pending 2FA code); never accepted as an access token.
+// challengeId, when given, becomes the jti so the step can be tied to a server-side one-time record.
+export const generateChallengeToken = (userId, purpose, challengeId) => {
+  return jwt.sign(
+    { userId, purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL_MS / 1000, ...(challengeId && { jwtid: challengeId }) }
+  );
+};
+
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token for a public tracking link; expires with the link and is never accepted as an access token
+export const generateTrackingToken = (linkId, expiresAt) => {
   return jwt.sign(
-    { userId, iat: Date.now() },
+    { linkId: String(linkId), purpose: 'public_tracking' },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
   );
 };
 
+export const verifyTrackingToken = (token) => verifyChallengeToken(token, 'public_tracking');
+
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, JWT_SECRET);
@@ -89,6 +231,37 @@ export const requireRole = (roles) => {
   };
 };
 
+// Block routes that must never run on someone else's behalf (spending tokens, credentials, account changes)
+export const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      error: 'Not allowed while impersonating',
+      message: 'This action cannot be performed during an impersonation session'
+    });
+  }
+
+  next();
+};
+
+// Email verification middleware (for routes that award Green Tokens)
+export const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      message: 'User must be authenticated'
+    });
+  }
+
+  if (!req.user.isVerified) {
+    return res.status(403).json({ 
+      error: 'Email not verified',
+      message: 'Please verify your email address before earning tokens'
+    });
+  }
+
+  next();
+};
+
 // Optional authentication middleware
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -96,11 +269,15 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, session, impersonator } = await resolveAccessToken(token);
       
-      if (user && user.isActive) {
+      if (user) {
         req.user = user;
+        req.sessionId = session._id;
+        if (impersonator) {
+          req.impersonator = impersonator;
+          trackImpersonation(req, res);
+        }
       }
     }
 
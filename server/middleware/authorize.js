@@ -0,0 +1,82 @@
+import { ROLE_PERMISSIONS } from '../config/permissions.js';
+
+// Check whether a user's role grants a permission
+export const hasPermission = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[user?.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// API keys carry their own permission list, capped by the owner's current role so a
+// demoted owner's existing keys lose what the role no longer grants
+export const isGranted = (req, permission) => {
+  if (req.apiKey && !req.apiKey.permissions.includes(permission)) return false;
+  return hasPermission(req.user, permission);
+};
+
+/**
+ * Permission-based authorization middleware.
+ *
+ * Passes if the user's role (and, for API keys, also the key's permission list) grants
+ * `permission`. Otherwise, if it grants
+ * `<permission>:own` and a resource resolver is given, the resource is loaded and
+ * the request passes only when `owns(user, resource)` is true.
+ *
+ * @param {string} permission - e.g. 'package:update'
+ * @param {object} [ownership]
+ * @param {(req: import('express').Request) => Promise<object|null>} [ownership.resolve] - Loads the target resource.
+ * @param {(user: object, resource: object) => boolean} [ownership.owns] - Decides whether the user owns it.
+ */
+export const requirePermission = (permission, { resolve, owns } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User must be authenticated'
+      });
+    }
+
+    if (isGranted(req, permission)) {
+      return next();
+    }
+
+    if (resolve && owns && isGranted(req, `${permission}:own`)) {
+      try {
+        const resource = await resolve(req);
+
+        // Let the route handler report a missing resource
+        if (!resource) return next();
+
+        if (owns(req.user, resource)) {
+          return next();
+        }
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Access denied. Required permission: ${permission}`
+    });
+  };
+};
+
+export const denyFacilityScope = (res, facility) => res.status(403).json({
+  error: 'Outside key scope',
+  message: `This API key is limited to facility ${facility}`
+});
+
+// Facility-scoped API keys may only report locations at their own facility.
+// Fills in the facility when the client omits it. Routes must still check the
+// resolved location with isOutsideFacilityScope, since coordinates win over the name.
+export const enforceFacilityScope = (req, res, next) => {
+  const facility = req.apiKey?.scope?.facility;
+  if (!facility || !req.body.location) return next();
+
+  if (req.body.location.facility && req.body.location.facility !== facility) {
+    return denyFacilityScope(res, facility);
+  }
+
+  req.body.location = { ...req.body.location, facility };
+  next();
+};
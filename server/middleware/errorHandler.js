@@ -29,6 +29,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // File upload errors (size, unexpected field)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: 'Upload Error',
+      message: err.message
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Accept a caller-supplied ID (e.g. from a load balancer) if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,128}$/;
+
+// Tags every request with an ID that is echoed back in X-Request-Id and stored on audit events
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const KEY_PREFIX = 'pk';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public identifier embedded in the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key; the raw key is only shown once
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // Previous key kept valid for a grace period after rotation
+  previousKeyHash: {
+    type: String,
+    default: null
+  },
+  previousKeyExpiresAt: {
+    type: Date,
+    default: null
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Limits what the key may touch, e.g. scans only at one facility
+  scope: {
+    facility: { type: String, trim: true, default: null },
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null }
+  },
+  // The user the key acts on behalf of
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: Date,
+  // Usage tracking
+  lastUsedAt: Date,
+  lastUsedIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ owner: 1 });
+apiKeySchema.index({ 'scope.facility': 1 });
+apiKeySchema.index({ 'scope.organization': 1 });
+
+// Hide hashes from API responses
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.previousKeyHash;
+    return ret;
+  }
+});
+
+// Virtual for key validity
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt.getTime() > Date.now());
+});
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Static method to recognise the API key format
+apiKeySchema.statics.looksLikeKey = function(value) {
+  return typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+};
+
+// Static method to create a key; resolves to { apiKey, rawKey }
+apiKeySchema.statics.generate = async function(fields) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const rawKey = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    ...fields,
+    prefix,
+    keyHash: hashKey(rawKey)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Static method to find the active key matching a raw key
+apiKeySchema.statics.findByRawKey = async function(rawKey) {
+  const [, prefix] = String(rawKey).split('_');
+  if (!prefix) return null;
+
+  const apiKey = await this.findOne({ prefix });
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const presentedHash = hashKey(rawKey);
+  if (safeEqual(apiKey.keyHash, presentedHash)) return apiKey;
+
+  const previousStillValid = apiKey.previousKeyHash
+    && apiKey.previousKeyExpiresAt
+    && apiKey.previousKeyExpiresAt.getTime() > Date.now();
+  if (previousStillValid && safeEqual(apiKey.previousKeyHash, presentedHash)) return apiKey;
+
+  return null;
+};
+
+// Method to rotate the key, keeping the old one valid for graceMs; resolves to the new raw key
+apiKeySchema.methods.rotate = async function(graceMs = 0) {
+  const rawKey = `${KEY_PREFIX}_${this.prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.previousKeyHash = graceMs > 0 ? this.keyHash : null;
+  this.previousKeyExpiresAt = graceMs > 0 ? new Date(Date.now() + graceMs) : null;
+  this.keyHash = hashKey(rawKey);
+  this.rotatedAt = new Date();
+  await this.save();
+
+  return rawKey;
+};
+
+// Method to record usage, written at most once a minute to keep hot keys cheap
+apiKeySchema.methods.recordUsage = function(ipAddress) {
+  const now = Date.now();
+  if (this.lastUsedAt && now - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: new Date(now), lastUsedIp: ipAddress }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Append-only record of administrative and sensitive actions.
+// Each event stores the hash of the previous one; see services/audit.js.
+const auditEventSchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the actor was an admin impersonating this user
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the actor authenticated with an API key rather than a session
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  target: {
+    type: { type: String, default: null },
+    id: { type: String, default: null }
+  },
+  // Only the fields that changed, e.g. { before: { role: 'customer' }, after: { role: 'seller' } }
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: String,
+  userAgent: String,
+  requestId: String,
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+// Indexes
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ impersonatedUser: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Refuse every write path other than inserting a new event
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => auditEventSchema.pre(operation, rejectMutation));
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Static method to get the most recent event in the chain
+auditEventSchema.statics.findLatest = function() {
+  return this.findOne().sort({ sequence: -1 });
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Registry of IoT devices and the organization that operates them.
+// Live status and telemetry stay in memory in services/iot.js.
+const deviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  facility: {
+    type: String,
+    trim: true
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceSchema.index({ organization: 1 });
+
+// Static method to get the device IDs an organization operates
+deviceSchema.statics.idsForOrganization = async function(organizationId) {
+  const devices = await this.find({ organization: organizationId }).select('deviceId').lean();
+  return devices.map(device => device.deviceId);
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+
+export const FACILITY_TYPES = ['manufacturing', 'warehouse', 'drop_point', 'recycling'];
+
+// Package statuses that mean a package is sitting at its current facility
+export const STORED_STATUSES = ['manufactured', 'returned', 'processing'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPosition = (position) => Array.isArray(position)
+  && position.length === 2
+  && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+  && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+// A GeoJSON ring needs at least four [longitude, latitude] positions and must end where it starts
+export const isClosedRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+const facilitySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: FACILITY_TYPES,
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Reference point (usually the entrance), used for distances and radius geofences
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (coordinates) => coordinates.length === 2,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  address: String,
+  city: String,
+  state: String,
+  // Geofence: a polygon when the site's outline is known, otherwise a radius in metres around `location`
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined,
+      validate: {
+        validator: (rings) => rings.length > 0 && rings.every(isClosedRing),
+        message: 'Each boundary ring needs at least four positions and must be closed'
+      }
+    }
+  },
+  radius: {
+    type: Number,
+    min: 1,
+    max: 50000,
+    default: null
+  },
+  // Weekly hours in the facility's time zone; none means always open
+  openingHours: [{
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    open: { type: String, match: TIME_OF_DAY, required: true },
+    close: { type: String, match: TIME_OF_DAY, required: true },
+    _id: false
+  }],
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone'
+    }
+  },
+  // How many packages the facility can hold at once; null means unlimited
+  capacity: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+facilitySchema.index({ location: '2dsphere' });
+facilitySchema.index({ boundary: '2dsphere' });
+facilitySchema.index({ type: 1, isActive: 1 });
+facilitySchema.index({ organization: 1 });
+
+// Every facility needs a geofence
+facilitySchema.pre('validate', function(next) {
+  if (!this.boundary?.coordinates?.length && !this.radius) {
+    this.invalidate('radius', 'A boundary polygon or a radius is required');
+  }
+  next();
+});
+
+// Method to check whether the facility is open at a given time
+facilitySchema.methods.isOpenAt = function(date = new Date()) {
+  if (!this.openingHours?.length) return true;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  const time = `${parts.hour}:${parts.minute}`;
+
+  // Hours that close before they open run past midnight
+  return this.openingHours.some(hours => {
+    if (hours.open <= hours.close) {
+      return hours.day === day && time >= hours.open && time < hours.close;
+    }
+    return (hours.day === day && time >= hours.open)
+      || (hours.day === (day + 6) % 7 && time < hours.close);
+  });
+};
+
+// Static method to find the facility whose geofence contains a point, among platform
+// facilities and those of the given organizations, optionally only the one with `code`.
+// Polygons are checked first since they're the more precise fence.
+facilitySchema.statics.findContaining = async function(coordinates, types = FACILITY_TYPES, { organizations = [], code = null } = {}) {
+  const point = { type: 'Point', coordinates };
+  const filter = {
+    isActive: true,
+    type: { $in: types },
+    organization: { $in: [null, ...organizations] },
+    ...(code && { code: code.toUpperCase() })
+  };
+
+  const byBoundary = await this.findOne({
+    ...filter,
+    boundary: { $geoIntersects: { $geometry: point } }
+  });
+  if (byBoundary) return byBoundary;
+
+  const [byRadius] = await this.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: 50000,
+        query: { ...filter, radius: { $gt: 0 } }
+      }
+    },
+    { $match: { $expr: { $lte: ['$distance', '$radius'] } } },
+    { $limit: 1 }
+  ]);
+
+  return byRadius ? this.hydrate(byRadius) : null;
+};
+
+// Static method to get facilities nearest a point, with their distance in metres
+facilitySchema.statics.getNearest = function(coordinates, { types = FACILITY_TYPES, maxDistance = 10000, limit = 10 } = {}) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance,
+        query: { isActive: true, type: { $in: types } }
+      }
+    },
+    { $limit: limit }
+  ]);
+};
+
+// Static method to count the packages stored at each of the given facilities
+facilitySchema.statics.getLoad = async function(facilityIds) {
+  const Package = mongoose.model('Package');
+  const counts = await Package.aggregate([
+    { $match: { 'currentLocation.facilityId': { $in: facilityIds }, status: { $in: STORED_STATUSES }, isActive: true } },
+    { $group: { _id: '$currentLocation.facilityId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+const Facility = mongoose.model('Facility', facilitySchema);
+
+export default Facility;
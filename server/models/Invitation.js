@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ORGANIZATION_ROLES } from './Organization.js';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Platform role the account is created with
+  role: {
+    type: String,
+    enum: ['customer', 'seller', 'logistics', 'admin'],
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  organizationRole: {
+    type: String,
+    enum: [...ORGANIZATION_ROLES, null],
+    default: null
+  },
+  // SHA-256 of the token sent by email; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ organization: 1, status: 1, createdAt: -1 });
+
+// Virtual for a pending invitation whose link can no longer be used
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt.getTime() <= Date.now();
+});
+
+// Static method to hash a raw invitation token
+invitationSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Method to set a fresh token and expiry; returns the raw token to email
+invitationSchema.methods.issueToken = function(ttlMs) {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(rawToken);
+  this.expiresAt = new Date(Date.now() + ttlMs);
+  return rawToken;
+};
+
+// Static method to find a pending, unexpired invitation by its raw token
+invitationSchema.statics.findUsable = function(rawToken) {
+  return this.findOne({
+    tokenHash: this.hashToken(rawToken),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to atomically claim an invitation so it can only be used once
+invitationSchema.statics.claim = function(rawToken) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(rawToken),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
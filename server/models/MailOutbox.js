@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const mailOutboxSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // Free-form tag so messages can be found by kind, e.g. 'email_verification'
+  category: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+mailOutboxSchema.index({ to: 1, createdAt: -1 });
+mailOutboxSchema.index({ category: 1 });
+
+const MailOutbox = mongoose.model('MailOutbox', mailOutboxSchema);
+
+export default MailOutbox;
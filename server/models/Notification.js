@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_EVENTS = ['return_processed', 'tokens_earned', 'badge_unlocked', 'package_delivered'];
+export const NOTIFICATION_CHANNELS = ['email', 'push', 'sms'];
+
+// One delivery of one event over one channel. Doubles as the outbox that
+// services/notifications.js drains and retries.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  // Rendered content, so retries send exactly what was first built
+  content: {
+    title: String,
+    body: String,
+    // Channel-specific extras, e.g. email subject/html or a push click URL
+    email: {
+      subject: String,
+      text: String,
+      html: String
+    },
+    url: String
+  },
+  // Event data the template was rendered from
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker that crashes mid-send leaves the notification claimable again after this
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Pending single sign-on attempt, created when the user is sent to the identity
+// provider and consumed when they come back to the callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier; only its S256 challenge is sent to the identity provider
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend path to land on after login
+  returnTo: {
+    type: String,
+    default: '/'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically take a pending login so it can only complete once
+oidcLoginStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
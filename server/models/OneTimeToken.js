@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const oneTimeTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'account_erasure', 'sso_login', '2fa_login', '2fa_setup'],
+    required: true
+  },
+  // SHA-256 of the token sent to the user; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oneTimeTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // purge a day after expiry
+
+// Static method to hash a raw token
+oneTimeTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to issue a new token, invalidating earlier unused ones for the same purpose
+oneTimeTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { expiresAt: new Date() }
+  );
+
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: this.hashToken(rawToken),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return rawToken;
+};
+
+// Static method to look up a token without redeeming it; resolves to null if unknown, used or expired
+oneTimeTokenSchema.statics.findValid = function(rawToken, purpose) {
+  return this.findOne({
+    tokenHash: this.hashToken(rawToken),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to redeem a token exactly once; resolves to null if unknown, used or expired
+oneTimeTokenSchema.statics.consume = function(rawToken, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(rawToken),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to get the most recently issued token for a user and purpose
+oneTimeTokenSchema.statics.findLatest = function(userId, purpose) {
+  return this.findOne({ user: userId, purpose }).sort({ createdAt: -1 });
+};
+
+const OneTimeToken = mongoose.model('OneTimeToken', oneTimeTokenSchema);
+
+export default OneTimeToken;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Org-level roles, stored on each member's User document
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  type: {
+    type: String,
+    enum: ['seller', 'logistics', 'manufacturer'],
+    required: true
+  },
+  contact: {
+    email: { type: String, lowercase: true, trim: true },
+    phone: String
+  },
+  location: {
+    city: String,
+    state: String,
+    country: { type: String, default: 'India' }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+organizationSchema.index({ type: 1 });
+organizationSchema.index({ isActive: 1 });
+
+// Static method to list an organization's members
+organizationSchema.statics.getMembers = function(organizationId) {
+  const User = mongoose.model('User');
+  return User.find({ organization: organizationId, isActive: true })
+    .select('username email firstName lastName role organizationRole lastLogin')
+    .sort({ username: 1 });
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
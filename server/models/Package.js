@@ -1,4 +1,195 @@
 import mongoose from 'mongoose';
+import { HANDLING_METRICS, HANDLING_PROFILES, INSTANT_METRICS, validateLimits } from '../config/handlingProfiles.js';
+
+export const PACKAGE_STATUSES = ['manufactured', 'dispatched', 'in_transit', 'delivered', 'returned', 'processing', 'recycled', 'lost'];
+
+// Statuses a package may move to from each status without an override.
+// Delivered packages are only returned through processReturn(), which closes the reuse cycle,
+// and returned and processed packages only go back out through redispatch(), which starts
+// the next one; recycled and lost are final.
+export const STATUS_TRANSITIONS = {
+  manufactured: ['dispatched', 'lost'],
+  dispatched: ['in_transit', 'delivered', 'lost'],
+  in_transit: ['delivered', 'lost'],
+  delivered: [],
+  returned: ['processing'],
+  processing: ['recycled'],
+  recycled: [],
+  lost: []
+};
+
+export const canTransition = (from, to) => from === to || STATUS_TRANSITIONS[from]?.includes(to) === true;
+
+// Statuses processReturn() moves to 'returned'
+export const RETURNABLE_STATUSES = ['delivered'];
+
+// Statuses redispatch() sends back out as 'dispatched'
+export const REDISPATCH_STATUSES = ['returned', 'processing'];
+
+// 0-100 score from a package's sustainability properties; stored on save so it can be filtered and sorted
+export const calculateEnvironmentalScore = (sustainability = {}) => {
+  const baseScore = 50;
+  const recyclableBonus = sustainability.recyclable ? 20 : 0;
+  const biodegradableBonus = sustainability.biodegradable ? 15 : 0;
+  const recycledContentBonus = (sustainability.recycledContent || 0) * 0.5;
+  const carbonPenalty = (sustainability.carbonFootprint || 0) * 10;
+  const plasticPenalty = (sustainability.plasticContent || 0) * 0.1;
+
+  return Math.max(0, Math.min(100, baseScore + recyclableBonus + biodegradableBonus + recycledContentBonus - carbonPenalty - plasticPenalty));
+};
+
+/**
+ * Thrown when a package is moved to a status that isn't reachable from its current one.
+ */
+export class StatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`A package cannot move from ${from} to ${to}`);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = STATUS_TRANSITIONS[from] || [];
+    this.statusCode = 409;
+  }
+}
+
+// What happened to the package when it came back at the end of one reuse cycle
+const returnRecordSchema = new mongoose.Schema({
+  returnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnedAt: Date,
+  returnLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number],
+    address: String,
+    facility: String,
+    facilityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility'
+    }
+  },
+  condition: {
+    type: String,
+    enum: ['excellent', 'good', 'fair', 'poor', 'damaged']
+  },
+  tokensAwarded: Number,
+  carbonSaved: Number,
+  plasticReduced: Number
+}, { _id: false });
+
+// Estimated delivery time with its confidence interval, refreshed on every scan while in transit
+const etaSchema = new mongoose.Schema({
+  expected: Date,
+  lower: Date,
+  upper: Date,
+  // Probability that delivery falls between lower and upper
+  confidence: Number,
+  // Which learned lane the estimate came from, or 'default' when there was too little history
+  basis: {
+    type: String,
+    enum: ['lane', 'destination', 'network', 'default']
+  },
+  origin: String,
+  destination: String,
+  samples: Number,
+  estimatedAt: Date,
+  // First estimate of the trip, made at dispatch, kept for accuracy metrics
+  initial: {
+    expected: Date,
+    lower: Date,
+    upper: Date
+  }
+}, { _id: false });
+
+// A stretch of sensor readings outside a package's handling limits
+const violationSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: Object.keys(HANDLING_METRICS),
+    required: true
+  },
+  bound: {
+    type: String,
+    enum: ['min', 'max'],
+    required: true
+  },
+  threshold: Number,
+  // Furthest reading past the threshold
+  peak: Number,
+  readings: {
+    type: Number,
+    default: 1
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Last reading still outside the limit; endedAt is set by the first reading back inside
+  lastSeenAt: Date,
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  durationSeconds: {
+    type: Number,
+    default: 0
+  },
+  cycle: Number,
+  source: {
+    type: String,
+    enum: ['api', 'mqtt']
+  },
+  deviceId: String,
+  coordinates: [Number]
+});
+
+// One trip of a reusable package: dispatched to a customer, delivered, and returned
+const reuseCycleSchema = new mongoose.Schema({
+  cycle: {
+    type: Number,
+    required: true
+  },
+  orderId: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  logisticsOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  deliveryAddress: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    coordinates: [Number]
+  },
+  dispatchedAt: Date,
+  deliveredAt: Date,
+  // Delivery estimate as it stood when the package arrived
+  eta: {
+    type: etaSchema,
+    default: null
+  },
+  return: {
+    type: returnRecordSchema,
+    default: null
+  },
+  // Set when the package comes back; the next dispatch opens a new cycle
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const packageSchema = new mongoose.Schema({
   packageId: {
@@ -41,6 +232,12 @@ const packageSchema = new mongoose.Schema({
     plasticContent: { type: Number, default: 0 }, // in grams
     recycledContent: { type: Number, default: 0 } // percentage
   },
+  // Derived from sustainability on every save
+  environmentalScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   // Manufacturing info
   manufacturer: {
     name: String,
@@ -54,7 +251,7 @@ const packageSchema = new mongoose.Schema({
   // Current status and location
   status: {
     type: String,
-    enum: ['manufactured', 'dispatched', 'in_transit', 'delivered', 'returned', 'processing', 'recycled', 'lost'],
+    enum: PACKAGE_STATUSES,
     default: 'manufactured'
   },
   currentLocation: {
@@ -69,6 +266,11 @@ const packageSchema = new mongoose.Schema({
     },
     address: String,
     facility: String,
+    // Registered facility whose geofence contains the coordinates, if any
+    facilityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility'
+    },
     city: String,
     state: String
   },
@@ -76,8 +278,11 @@ const packageSchema = new mongoose.Schema({
   trackingHistory: [{
     status: {
       type: String,
-      enum: ['manufactured', 'dispatched', 'in_transit', 'delivered', 'returned', 'processing', 'recycled', 'lost']
+      enum: PACKAGE_STATUSES
     },
+    // Status before this entry, and whether it was reached by an override (the reason is in notes)
+    previousStatus: String,
+    override: Boolean,
     location: {
       type: {
         type: String,
@@ -87,6 +292,10 @@ const packageSchema = new mongoose.Schema({
       coordinates: [Number],
       address: String,
       facility: String,
+      facilityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Facility'
+      },
       city: String,
       state: String
     },
@@ -106,9 +315,21 @@ const packageSchema = new mongoose.Schema({
       light: Number
     }
   }],
+  // Owning organization (the seller); null for packages created outside any org
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   // Delivery information
   delivery: {
     orderId: String,
+    // Logistics partner handling the delivery; its members can see and scan the package
+    logisticsOrganization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null
+    },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -124,11 +345,16 @@ const packageSchema = new mongoose.Schema({
       pincode: String,
       coordinates: [Number]
     },
+    // Mirrors eta.expected while the package is on its way
     expectedDelivery: Date,
+    eta: {
+      type: etaSchema,
+      default: null
+    },
     actualDelivery: Date,
     deliveryAgent: String
   },
-  // Return information
+  // Latest return, mirrored from the last closed reuse cycle for existing queries
   return: {
     returnedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -143,7 +369,11 @@ const packageSchema = new mongoose.Schema({
       },
       coordinates: [Number],
       address: String,
-      facility: String
+      facility: String,
+      facilityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Facility'
+      }
     },
     condition: {
       type: String,
@@ -163,8 +393,40 @@ const packageSchema = new mongoose.Schema({
       default: 0.05
     }
   },
+  // Every delivery-and-return loop, oldest first
+  reuseCycles: [reuseCycleSchema],
+  // Handling limits: a named profile from config/handlingProfiles.js and/or the package's own
+  // limits, which take precedence per metric bound
+  handling: {
+    profile: {
+      type: String,
+      validate: {
+        validator: (profile) => !profile || Object.hasOwn(HANDLING_PROFILES, profile),
+        message: (props) => `Unknown handling profile ${props.value}`
+      }
+    },
+    limits: {
+      type: mongoose.Schema.Types.Mixed,
+      validate: {
+        validator: (limits) => !limits || validateLimits(limits).length === 0,
+        message: (props) => `Invalid handling limits: ${validateLimits(props.value).join('; ')}`
+      }
+    }
+  },
+  // Evaluation of sensor readings against the handling limits, reset for each reuse cycle
+  compliance: {
+    status: {
+      type: String,
+      enum: ['unmonitored', 'compliant', 'non_compliant'],
+      default: 'unmonitored'
+    },
+    violations: [violationSchema],
+    lastEvaluatedAt: Date
+  },
   // IoT sensor data
   iotData: {
+    // Tracker attached to the package; its MQTT telemetry is applied here
+    deviceId: String,
     lastUpdate: {
       type: Date,
       default: Date.now
@@ -229,8 +491,32 @@ packageSchema.index({ rfidTag: 1 });
 packageSchema.index({ nfcTag: 1 });
 packageSchema.index({ status: 1 });
 packageSchema.index({ 'currentLocation.coordinates': '2dsphere' });
+packageSchema.index({ 'currentLocation.facilityId': 1, status: 1 });
 packageSchema.index({ 'delivery.customerId': 1 });
+packageSchema.index({ organization: 1, status: 1 });
+packageSchema.index({ 'delivery.logisticsOrganization': 1 });
 packageSchema.index({ 'return.returnedBy': 1 });
+packageSchema.index({ 'reuseCycles.customerId': 1 });
+packageSchema.index({ 'reuseCycles.return.returnedBy': 1 });
+packageSchema.index({ 'reuseCycles.deliveredAt': -1 });
+packageSchema.index({ 'iotData.deviceId': 1 });
+packageSchema.index({ 'compliance.status': 1 });
+packageSchema.index({ 'delivery.sellerId': 1, createdAt: -1 });
+packageSchema.index({ environmentalScore: -1 });
+packageSchema.index({ createdAt: -1, _id: -1 });
+packageSchema.index({
+  packageId: 'text',
+  tags: 'text',
+  notes: 'text',
+  'currentLocation.facility': 'text',
+  'currentLocation.city': 'text',
+  'manufacturer.name': 'text'
+}, {
+  name: 'package_text_search',
+  // IDs, cities and facility names shouldn't be stemmed or dropped as stop words
+  default_language: 'none',
+  weights: { packageId: 10, tags: 5, 'manufacturer.name': 3, 'currentLocation.facility': 2, 'currentLocation.city': 2, notes: 1 }
+});
 packageSchema.index({ manufacturedAt: -1 });
 packageSchema.index({ 'blockchain.txHash': 1 });
 
@@ -239,21 +525,61 @@ packageSchema.virtual('age').get(function() {
   return Math.floor((Date.now() - this.manufacturedAt.getTime()) / (1000 * 60 * 60 * 24));
 });
 
-// Virtual for environmental score
-packageSchema.virtual('environmentalScore').get(function() {
-  const baseScore = 50;
-  const recyclableBonus = this.sustainability.recyclable ? 20 : 0;
-  const biodegradableBonus = this.sustainability.biodegradable ? 15 : 0;
-  const recycledContentBonus = this.sustainability.recycledContent * 0.5;
-  const carbonPenalty = this.sustainability.carbonFootprint * 10;
-  const plasticPenalty = this.sustainability.plasticContent * 0.1;
-  
-  return Math.max(0, Math.min(100, baseScore + recyclableBonus + biodegradableBonus + recycledContentBonus - carbonPenalty - plasticPenalty));
+// Virtual for the reuse cycle in progress (dispatched but not yet returned)
+packageSchema.virtual('currentCycle').get(function() {
+  const latest = this.reuseCycles?.[this.reuseCycles.length - 1];
+  return latest && !latest.closedAt ? latest : null;
+});
+
+// Virtual for the handling limits in force: the profile's, overlaid with the package's own
+packageSchema.virtual('handlingLimits').get(function() {
+  const profile = HANDLING_PROFILES[this.handling?.profile] || {};
+  const own = this.handling?.limits || {};
+  const limits = {};
+
+  Object.keys(HANDLING_METRICS).forEach(metric => {
+    if (profile[metric] || own[metric]) limits[metric] = { ...profile[metric], ...own[metric] };
+  });
+
+  return Object.keys(limits).length > 0 ? limits : null;
+});
+
+// Keep the stored environmental score in step with the sustainability properties
+packageSchema.pre('validate', function(next) {
+  this.environmentalScore = calculateEnvironmentalScore(this.sustainability);
+  next();
+});
+
+// Remember the stored status so changes to it can be checked on save
+packageSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// Enforce legal status transitions unless an override was applied via updateLocation
+// or the package is being returned or redispatched
+packageSchema.pre('validate', function(next) {
+  const { statusOverride, returning, redispatching } = this.$locals;
+  if (this.isNew || !this.isModified('status') || statusOverride || returning || redispatching) return next();
+
+  const from = this.$locals.storedStatus;
+  if (from && !canTransition(from, this.status)) {
+    return next(new StatusTransitionError(from, this.status));
+  }
+  next();
+});
+
+packageSchema.post('save', function() {
+  this.$locals.storedStatus = this.status;
+  delete this.$locals.statusOverride;
+  delete this.$locals.returning;
+  delete this.$locals.redispatching;
 });
 
 // Pre-save middleware to update tracking history
 packageSchema.pre('save', function(next) {
-  if (this.isModified('status') || this.isModified('currentLocation')) {
+  // New packages built with their first entry already in place don't get a second one
+  const seeded = this.isNew && this.trackingHistory.length > 0;
+  if (!seeded && (this.isModified('status') || this.isModified('currentLocation'))) {
     this.trackingHistory.push({
       status: this.status,
       location: this.currentLocation,
@@ -263,16 +589,46 @@ packageSchema.pre('save', function(next) {
   next();
 });
 
-// Method to update location
-packageSchema.methods.updateLocation = function(location, status = null, scannedBy = null) {
+// Method to update location, optionally moving the package to a new status.
+// Pass { override: true, reason } to force a transition the state machine doesn't allow.
+packageSchema.methods.updateLocation = function(location, status = null, scannedBy = null, { override = false, reason = null } = {}) {
+  const previousStatus = this.status;
+  const redispatching = !!this.$locals.redispatching;
+  const forced = !!status && !redispatching && !canTransition(previousStatus, status);
+
+  if (forced) {
+    // A new reuse cycle has to start from clean delivery and compliance state, so only redispatch() may open one
+    const startsCycle = status === 'dispatched' && REDISPATCH_STATUSES.includes(previousStatus);
+    if (!override || startsCycle) throw new StatusTransitionError(previousStatus, status);
+    if (!reason) throw new Error('A reason is required to override a status transition');
+    this.$locals.statusOverride = true;
+  }
+
   this.currentLocation = location;
   if (status) this.status = status;
+
+  if (this.status !== previousStatus) {
+    // A return forced by override still ends the delivery, so the next one gets its own cycle
+    if (this.status === 'returned' && this.currentCycle) {
+      this.currentCycle.closedAt = new Date();
+    }
+    if (this.status === 'dispatched' && !this.currentCycle) {
+      this.openReuseCycle();
+    }
+    if (this.status === 'delivered') {
+      const cycle = this.currentCycle || this.openReuseCycle();
+      cycle.deliveredAt = new Date();
+      this.delivery.actualDelivery = cycle.deliveredAt;
+    }
+  }
   
   this.trackingHistory.push({
     status: this.status,
     location: this.currentLocation,
     timestamp: new Date(),
-    scannedBy: scannedBy
+    scannedBy: scannedBy,
+    ...(this.status !== previousStatus && { previousStatus }),
+    ...(forced && { override: true, notes: reason })
   });
   
   return this.save();
@@ -280,8 +636,13 @@ packageSchema.methods.updateLocation = function(location, status = null, scanned
 
 // Method to process return
 packageSchema.methods.processReturn = function(userId, location, condition = 'good') {
+  if (!RETURNABLE_STATUSES.includes(this.status)) {
+    throw new StatusTransitionError(this.status, 'returned');
+  }
+
+  this.$locals.returning = true;
   this.status = 'returned';
-  this.return = {
+  const returnRecord = {
     returnedBy: userId,
     returnedAt: new Date(),
     returnLocation: location,
@@ -290,6 +651,14 @@ packageSchema.methods.processReturn = function(userId, location, condition = 'go
     carbonSaved: this.sustainability.carbonFootprint * 0.8,
     plasticReduced: this.sustainability.plasticContent / 1000
   };
+  this.return = returnRecord;
+
+  // A return resolved to a drop point leaves the package sitting there
+  if (location?.facilityId) this.currentLocation = location;
+
+  const cycle = this.currentCycle || this.openReuseCycle();
+  cycle.return = returnRecord;
+  cycle.closedAt = returnRecord.returnedAt;
   
   this.analytics.reuseCount += 1;
   this.analytics.environmentalImpact.carbonSaved += this.return.carbonSaved;
@@ -298,6 +667,125 @@ packageSchema.methods.processReturn = function(userId, location, condition = 'go
   return this.save();
 };
 
+// Method to start a reuse cycle from the current delivery details
+packageSchema.methods.openReuseCycle = function() {
+  const deliveryAddress = this.get('delivery.deliveryAddress');
+
+  this.reuseCycles.push({
+    cycle: this.reuseCycles.length + 1,
+    orderId: this.delivery.orderId,
+    customerId: this.delivery.customerId,
+    sellerId: this.delivery.sellerId,
+    logisticsOrganization: this.delivery.logisticsOrganization,
+    ...(deliveryAddress && { deliveryAddress }),
+    dispatchedAt: new Date()
+  });
+  return this.reuseCycles[this.reuseCycles.length - 1];
+};
+
+// Method to send a returned or processed package out again for its next cycle.
+// Delivery details not given are cleared, except the seller and logistics partner.
+packageSchema.methods.redispatch = function(delivery = {}, location = null, scannedBy = null) {
+  if (!REDISPATCH_STATUSES.includes(this.status)) {
+    throw new StatusTransitionError(this.status, 'dispatched');
+  }
+
+  this.delivery = {
+    logisticsOrganization: this.delivery.logisticsOrganization,
+    sellerId: this.delivery.sellerId,
+    ...delivery
+  };
+
+  this.resetCompliance();
+  this.$locals.redispatching = true;
+
+  return this.updateLocation(location || this.currentLocation, 'dispatched', scannedBy);
+};
+
+// Method to start compliance afresh, e.g. for new contents on the next reuse cycle.
+// Open violations are closed; past ones stay on record.
+packageSchema.methods.resetCompliance = function(at = new Date()) {
+  this.compliance.violations
+    .filter(violation => !violation.endedAt)
+    .forEach(violation => { violation.endedAt = at; });
+
+  this.compliance.status = this.handlingLimits ? 'compliant' : 'unmonitored';
+};
+
+// Method to check one set of sensor readings against the handling limits. A reading outside
+// a limit opens a violation (or extends the open one for that metric); a reading back inside
+// closes it, and shocks are closed straight away. Any violation marks the package
+// non-compliant until compliance is reset. Returns the violations opened by this reading.
+packageSchema.methods.evaluateCompliance = function(reading, { at = new Date(), source = 'api', deviceId = null } = {}) {
+  const limits = this.handlingLimits;
+  if (!limits) return [];
+
+  const opened = [];
+
+  Object.entries(limits).forEach(([metric, bounds]) => {
+    const value = reading[metric];
+    if (!Number.isFinite(value)) return;
+
+    Object.entries(bounds).forEach(([bound, threshold]) => {
+      const breached = bound === 'min' ? value < threshold : value > threshold;
+      const open = this.compliance.violations
+        .find(violation => violation.metric === metric && violation.bound === bound && !violation.endedAt);
+
+      if (open) {
+        if (breached) {
+          open.readings += 1;
+          open.lastSeenAt = at;
+          open.peak = bound === 'min' ? Math.min(open.peak, value) : Math.max(open.peak, value);
+        } else {
+          open.endedAt = at;
+        }
+        open.durationSeconds = Math.round(((open.endedAt || open.lastSeenAt) - open.startedAt) / 1000);
+      } else if (breached) {
+        this.compliance.violations.push({
+          metric,
+          bound,
+          threshold,
+          peak: value,
+          startedAt: at,
+          lastSeenAt: at,
+          cycle: this.currentCycle?.cycle,
+          source,
+          deviceId,
+          coordinates: this.currentLocation?.coordinates,
+          ...(INSTANT_METRICS.includes(metric) && { endedAt: at })
+        });
+        opened.push(this.compliance.violations[this.compliance.violations.length - 1]);
+      }
+    });
+  });
+
+  this.compliance.lastEvaluatedAt = at;
+  if (opened.length > 0) {
+    this.compliance.status = 'non_compliant';
+  } else if (this.compliance.status === 'unmonitored') {
+    this.compliance.status = 'compliant';
+  }
+
+  return opened;
+};
+
+// Method to list reuse cycles, including a package's single return from before cycles were tracked
+packageSchema.methods.getReuseHistory = function() {
+  if (this.reuseCycles.length > 0 || !this.return?.returnedAt) {
+    return this.reuseCycles;
+  }
+
+  return [{
+    cycle: 1,
+    orderId: this.delivery.orderId,
+    customerId: this.delivery.customerId,
+    sellerId: this.delivery.sellerId,
+    deliveredAt: this.delivery.actualDelivery,
+    return: this.return,
+    closedAt: this.return.returnedAt
+  }];
+};
+
 // Method to calculate return reward
 packageSchema.methods.calculateReturnReward = function(condition) {
   const baseReward = 5;
@@ -313,7 +801,7 @@ packageSchema.methods.calculateReturnReward = function(condition) {
 };
 
 // Method to update IoT data
-packageSchema.methods.updateIoTData = function(data) {
+packageSchema.methods.updateIoTData = function(data, { source = 'api', deviceId = null } = {}) {
   this.iotData = {
     ...this.iotData,
     ...data,
@@ -323,13 +811,50 @@ packageSchema.methods.updateIoTData = function(data) {
   // Check for offline status
   const timeSinceUpdate = Date.now() - this.iotData.lastUpdate.getTime();
   this.iotData.isOnline = timeSinceUpdate < 24 * 60 * 60 * 1000; // 24 hours
+
+  this.evaluateCompliance(data, {
+    at: this.iotData.lastUpdate,
+    source,
+    deviceId: deviceId || this.iotData.deviceId || null
+  });
   
   return this.save();
 };
 
+// Static method to store the environmental score on packages saved before it was persisted
+packageSchema.statics.backfillEnvironmentalScores = async function(batchSize = 500) {
+  const cursor = this.find({ environmentalScore: { $exists: false } })
+    .select('sustainability')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await this.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { environmentalScore: calculateEnvironmentalScore(doc.sustainability) } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
 // Static method to get packages by status
-packageSchema.statics.getByStatus = function(status, limit = 50) {
-  return this.find({ status, isActive: true })
+packageSchema.statics.getByStatus = function(status, limit = 50, scope = {}) {
+  return this.find({ ...scope, status, isActive: true })
     .populate('delivery.customerId', 'username firstName lastName')
     .populate('return.returnedBy', 'username firstName lastName')
     .sort({ updatedAt: -1 })
@@ -337,8 +862,9 @@ packageSchema.statics.getByStatus = function(status, limit = 50) {
 };
 
 // Static method to get packages near location
-packageSchema.statics.getNearLocation = function(coordinates, maxDistance = 10000) {
+packageSchema.statics.getNearLocation = function(coordinates, maxDistance = 10000, scope = {}) {
   return this.find({
+    ...scope,
     'currentLocation.coordinates': {
       $near: {
         $geometry: {
@@ -353,9 +879,9 @@ packageSchema.statics.getNearLocation = function(coordinates, maxDistance = 1000
 };
 
 // Static method to get analytics
-packageSchema.statics.getAnalytics = function() {
+packageSchema.statics.getAnalytics = function(scope = {}) {
   return this.aggregate([
-    { $match: { isActive: true } },
+    { $match: { ...scope, isActive: true } },
     { $group: {
       _id: null,
       totalPackages: { $sum: 1 },
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Browser Web Push subscription (one per device/browser)
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+pushSubscriptionSchema.index({ user: 1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+export default PushSubscription;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// Fraud check of one package return. Returns that score too high keep their tokens
+// on hold here until a reviewer approves or rejects them.
+const returnAssessmentSchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  packageId: {
+    type: String,
+    required: true
+  },
+  cycle: Number,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Where the return came from, for the shared device/IP rule
+  ipAddress: String,
+  userAgent: String,
+  deviceId: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+  // Drop point whose geofence the return was made in, if any
+  dropPoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  // Every rule that fired, e.g. { rule: 'impossible_velocity', score: 40, detail: '...' }
+  signals: [{
+    rule: String,
+    score: Number,
+    detail: String,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['clear', 'pending_review', 'approved', 'rejected'],
+    required: true
+  },
+  // What the return earns once credited
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  carbonSaved: {
+    type: Number,
+    default: 0
+  },
+  plasticReduced: {
+    type: Number,
+    default: 0
+  },
+  creditedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: Date,
+  reviewNotes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+returnAssessmentSchema.index({ status: 1, createdAt: -1 });
+returnAssessmentSchema.index({ user: 1, createdAt: -1 });
+returnAssessmentSchema.index({ ipAddress: 1, createdAt: -1 });
+returnAssessmentSchema.index({ deviceId: 1, createdAt: -1 }, { sparse: true });
+
+const ReturnAssessment = mongoose.model('ReturnAssessment', returnAssessmentSchema);
+
+export default ReturnAssessment;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'login_failed',
+      'account_locked',
+      'account_unlocked',
+      'data_exported',
+      'erasure_requested',
+      'account_erased'
+    ],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Admin who performed the action, for manual events such as unlocks
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Event-specific details, e.g. { reason: 'password', failedAttempts: 4 }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1 });
+
+// Static method to record an event from an incoming request
+securityEventSchema.statics.record = function(type, user, req, details = {}, actor = null) {
+  return this.create({
+    type,
+    user,
+    actor,
+    ipAddress: req?.ip,
+    userAgent: req?.headers?.['user-agent'],
+    details
+  });
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; the raw value is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of the most recent rotated-out secrets, so only a replay of a token this
+  // session really issued counts as reuse
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  // Incremented on every rotation so a replayed refresh token can be detected
+  generation: {
+    type: Number,
+    default: 0
+  },
+  // Client information
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when an admin opened this session to act as the user
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonationReason: {
+    type: String,
+    default: null
+  },
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // purge a week after expiry
+
+// Virtual for session validity
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+});
+
+// Static method to hash a refresh token secret
+sessionSchema.statics.hashToken = function(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Method to check a presented refresh token secret against the stored hash
+sessionSchema.methods.matchesToken = function(secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to check whether a presented secret is one this session has already rotated out
+sessionSchema.methods.wasIssued = function(secret) {
+  return this.previousTokenHashes.includes(this.constructor.hashToken(secret));
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { StatusTransitionError, REDISPATCH_STATUSES } from './Package.js';
+
+export const SHIPMENT_STATUSES = ['created', 'dispatched', 'in_transit', 'delivered', 'cancelled'];
+
+// Packages can only be added while a shipment is being put together; delivered and cancelled are final
+export const SHIPMENT_TRANSITIONS = {
+  created: ['dispatched', 'cancelled'],
+  dispatched: ['in_transit', 'delivered'],
+  in_transit: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+export const OPEN_SHIPMENT_STATUSES = ['created', 'dispatched', 'in_transit'];
+
+// Package status each shipment status moves its packages to
+const PACKAGE_STATUS = {
+  dispatched: 'dispatched',
+  in_transit: 'in_transit',
+  delivered: 'delivered'
+};
+
+export const canShipmentTransition = (from, to) => from === to || SHIPMENT_TRANSITIONS[from]?.includes(to) === true;
+
+/**
+ * Thrown when a shipment is moved to a status that isn't reachable from its current one.
+ */
+export class ShipmentTransitionError extends Error {
+  constructor(from, to) {
+    super(`A shipment cannot move from ${from} to ${to}`);
+    this.name = 'ShipmentTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = SHIPMENT_TRANSITIONS[from] || [];
+    this.statusCode = 409;
+  }
+}
+
+const locationSchema = {
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: [Number],
+  address: String,
+  facility: String,
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility'
+  },
+  city: String,
+  state: String
+};
+
+const shipmentSchema = new mongoose.Schema({
+  shipmentId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'created'
+  },
+  packages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package'
+  }],
+  // Organization that put the shipment together, and the one carrying it
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  logisticsOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  carrier: String,
+  carrierReference: String,
+  destination: {
+    address: String,
+    city: String,
+    state: String,
+    coordinates: [Number]
+  },
+  expectedDelivery: Date,
+  dispatchedAt: Date,
+  deliveredAt: Date,
+  currentLocation: locationSchema,
+  trackingHistory: [{
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES
+    },
+    previousStatus: String,
+    location: locationSchema,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shipmentSchema.index({ packages: 1, status: 1 });
+shipmentSchema.index({ organization: 1, status: 1 });
+shipmentSchema.index({ logisticsOrganization: 1, status: 1 });
+shipmentSchema.index({ createdBy: 1 });
+
+// Virtual for whether packages can still be added or removed
+shipmentSchema.virtual('isOpen').get(function() {
+  return OPEN_SHIPMENT_STATUSES.includes(this.status);
+});
+
+shipmentSchema.set('toJSON', { virtuals: true });
+
+// Static method to generate a shipment ID like SHP-20241005-7A2F9C
+shipmentSchema.statics.generateShipmentId = function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `SHP-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Method to update the shipment's location, optionally moving it to a new status.
+// The move is cascaded to every member package through Package#updateLocation, so each
+// package gets its own tracking history entry. Returned and processed packages are sent
+// out through Package#redispatch so they start a fresh reuse cycle. Packages whose status
+// can't follow (e.g. one already marked lost) are left alone and reported.
+shipmentSchema.methods.updateLocation = async function(location, status = null, scannedBy = null, notes = null) {
+  const previousStatus = this.status;
+  if (status && !canShipmentTransition(previousStatus, status)) {
+    throw new ShipmentTransitionError(previousStatus, status);
+  }
+
+  this.currentLocation = location;
+  if (status) this.status = status;
+
+  if (this.status !== previousStatus) {
+    if (this.status === 'dispatched') this.dispatchedAt = new Date();
+    if (this.status === 'delivered') this.deliveredAt = new Date();
+  }
+
+  this.trackingHistory.push({
+    status: this.status,
+    location: this.currentLocation,
+    timestamp: new Date(),
+    scannedBy,
+    notes,
+    ...(this.status !== previousStatus && { previousStatus })
+  });
+  await this.save();
+
+  const Package = mongoose.model('Package');
+  const packages = await Package.find({ _id: { $in: this.packages }, isActive: true });
+  const packageStatus = PACKAGE_STATUS[this.status];
+
+  const results = [];
+  for (const packageData of packages) {
+    const packagePreviousStatus = packageData.status;
+    const target = packageStatus && packageStatus !== packagePreviousStatus ? packageStatus : null;
+
+    try {
+      if (target === 'dispatched' && REDISPATCH_STATUSES.includes(packagePreviousStatus)) {
+        await packageData.redispatch({}, location, scannedBy);
+      } else {
+        await packageData.updateLocation(location, target, scannedBy);
+      }
+      results.push({ package: packageData, previousStatus: packagePreviousStatus, updated: true });
+    } catch (error) {
+      if (!(error instanceof StatusTransitionError)) throw error;
+      results.push({ package: packageData, previousStatus: packagePreviousStatus, updated: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Method to cancel a shipment that hasn't left yet. Its packages are released as they are.
+shipmentSchema.methods.cancel = function(cancelledBy = null, reason = null) {
+  if (!SHIPMENT_TRANSITIONS[this.status].includes('cancelled')) {
+    throw new ShipmentTransitionError(this.status, 'cancelled');
+  }
+
+  const previousStatus = this.status;
+  this.status = 'cancelled';
+  this.trackingHistory.push({
+    status: this.status,
+    previousStatus,
+    location: this.currentLocation,
+    timestamp: new Date(),
+    scannedBy: cancelledBy,
+    notes: reason
+  });
+
+  return this.save();
+};
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+export default Shipment;
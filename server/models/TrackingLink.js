@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// A shareable public tracking link for one delivery of a package. The link itself is a
+// signed token carrying this document's ID; the document lets it be listed and revoked.
+const trackingLinkSchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  packageId: {
+    type: String,
+    required: true
+  },
+  // Reuse cycle the link shows; once the package goes out on a later cycle the link stops working
+  cycle: {
+    type: Number,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+trackingLinkSchema.index({ package: 1, createdBy: 1 });
+trackingLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // purge a week after expiry
+
+// Virtual for whether the link can still be opened
+trackingLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+trackingLinkSchema.set('toJSON', { virtuals: true });
+
+// Method to revoke the link
+trackingLinkSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const TrackingLink = mongoose.model('TrackingLink', trackingLinkSchema);
+
+export default TrackingLink;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Stands in for "any origin" / "any destination" in the broader fallback lanes
+export const ANY_PLACE = '*';
+
+// Transit durations observed between an origin (facility or city) and a destination city.
+// Durations are kept as sums of log-hours so delivering a package can update a lane
+// with a single $inc, and the mean and spread of the log-normal fit stay recoverable.
+const transitLaneSchema = new mongoose.Schema({
+  origin: {
+    type: String,
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  samples: {
+    type: Number,
+    default: 0
+  },
+  sumLog: {
+    type: Number,
+    default: 0
+  },
+  sumLogSquares: {
+    type: Number,
+    default: 0
+  },
+  lastObservedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+transitLaneSchema.index({ origin: 1, destination: 1 }, { unique: true });
+
+// Method to get the log-normal fit of the lane's durations (log-hours)
+transitLaneSchema.methods.distribution = function() {
+  const mean = this.sumLog / this.samples;
+  const variance = this.samples > 1
+    ? Math.max(0, (this.sumLogSquares - this.samples * mean * mean) / (this.samples - 1))
+    : 0;
+
+  return { mean, sd: Math.sqrt(variance), samples: this.samples };
+};
+
+// Static method to record one delivered trip on its lane, its destination and the whole network
+transitLaneSchema.statics.record = function(origin, destination, hours, observedAt = new Date()) {
+  const log = Math.log(hours);
+  const lanes = [[origin, destination], [ANY_PLACE, destination], [ANY_PLACE, ANY_PLACE]]
+    .filter(([from, to], index, all) => index === all.findIndex(([f, t]) => f === from && t === to));
+
+  return this.bulkWrite(lanes.map(([from, to]) => ({
+    updateOne: {
+      filter: { origin: from, destination: to },
+      update: {
+        $inc: { samples: 1, sumLog: log, sumLogSquares: log * log },
+        $max: { lastObservedAt: observedAt }
+      },
+      upsert: true
+    }
+  })));
+};
+
+const TransitLane = mongoose.model('TransitLane', transitLaneSchema);
+
+export default TransitLane;
@@ -1,6 +1,13 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Roles that must enroll in two-factor authentication before they can sign in.
+// Set TWO_FACTOR_REQUIRED_ROLES to an empty string to make 2FA optional for everyone.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,logistics')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -50,6 +57,17 @@ const userSchema = new mongoose.Schema({
     enum: ['customer', 'seller', 'logistics', 'admin'],
     default: 'customer'
   },
+  // Company the user works for (sellers and logistics partners); customers have none
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  organizationRole: {
+    type: String,
+    enum: ['owner', 'admin', 'member', null],
+    default: null
+  },
   // Token and sustainability metrics
   tokenBalance: {
     type: Number,
@@ -116,6 +134,44 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Identity at the OpenID Connect provider, for accounts that sign in through SSO
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date
+  },
+  // Set once the account has been anonymized on the user's request
+  erasedAt: {
+    type: Date,
+    default: null
+  },
+  // Per-account brute-force protection
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    // Progressive delay: no attempt is evaluated before this time
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    // Number of lockouts since the last successful login; each one lasts longer
+    lockCount: { type: Number, default: 0 }
+  },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    // Encrypted secrets; pendingSecret holds an enrollment that hasn't been confirmed yet
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: { type: Number, default: -1, select: false },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    }
+  },
   // Preferences
   preferences: {
     notifications: {
@@ -137,6 +193,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ walletAddress: 1 });
 userSchema.index({ 'location.city': 1 });
+userSchema.index({ organization: 1 });
+userSchema.index(
+  { 'sso.issuer': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $type: 'string' } } }
+);
 userSchema.index({ tokenBalance: -1 });
 userSchema.index({ packagesReturned: -1 });
 
@@ -171,6 +232,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the 2FA policy applies to this user's role
+userSchema.methods.requiresTwoFactor = function() {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Static list of roles for which 2FA is mandatory
+userSchema.statics.twoFactorRequiredRoles = function() {
+  return [...TWO_FACTOR_REQUIRED_ROLES];
+};
+
+// Virtual for temporary lockout status
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity?.lockedUntil && this.loginSecurity.lockedUntil.getTime() > Date.now());
+});
+
 // Method to add tokens
 userSchema.methods.addTokens = function(amount, reason = 'Package return') {
   this.tokenBalance += amount;
@@ -1,6 +1,9 @@
 import express from 'express';
 import User from '../models/User.js';
 import Package from '../models/Package.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { scopePackageQuery, scopeUserQuery } from '../services/tenancy.js';
+import { relearnLanes } from '../services/eta.js';
 
 const router = express.Router();
 
@@ -9,7 +12,8 @@ router.get('/dashboard', async (req, res) => {
   try {
     // Get user statistics
     const userStats = await User.aggregate([
-      { $match: { isActive: true } },
+      // Erased accounts are inactive but still count towards platform totals
+      { $match: scopeUserQuery(req, { $or: [{ isActive: true }, { erasedAt: { $ne: null } }] }) },
       {
         $group: {
           _id: null,
@@ -25,7 +29,7 @@ router.get('/dashboard', async (req, res) => {
 
     // Get package statistics
     const packageStats = await Package.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopePackageQuery(req, { isActive: true }) },
       {
         $group: {
           _id: null,
@@ -41,7 +45,7 @@ router.get('/dashboard', async (req, res) => {
     ]);
 
     // Get recent activity
-    const recentActivity = await Package.find({ isActive: true })
+    const recentActivity = await Package.find(scopePackageQuery(req, { isActive: true }))
       .populate('delivery.customerId', 'username firstName lastName')
       .populate('return.returnedBy', 'username firstName lastName')
       .sort({ updatedAt: -1 })
@@ -112,7 +116,7 @@ router.get('/environmental', async (req, res) => {
 
     // Get environmental impact by package type
     const impactByType = await Package.aggregate([
-      { $match: { isActive: true, ...dateFilter } },
+      { $match: scopePackageQuery(req, { isActive: true, ...dateFilter }) },
       {
         $group: {
           _id: '$type',
@@ -127,7 +131,7 @@ router.get('/environmental', async (req, res) => {
 
     // Get environmental impact by location
     const impactByLocation = await Package.aggregate([
-      { $match: { isActive: true, ...dateFilter } },
+      { $match: scopePackageQuery(req, { isActive: true, ...dateFilter }) },
       {
         $group: {
           _id: '$currentLocation.city',
@@ -142,7 +146,7 @@ router.get('/environmental', async (req, res) => {
 
     // Get sustainability trends
     const sustainabilityTrends = await Package.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopePackageQuery(req, { isActive: true }) },
       {
         $group: {
           _id: {
@@ -181,7 +185,7 @@ router.get('/engagement', async (req, res) => {
   try {
     // Get user activity by role
     const activityByRole = await User.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopeUserQuery(req, { isActive: true }) },
       {
         $group: {
           _id: '$role',
@@ -197,14 +201,14 @@ router.get('/engagement', async (req, res) => {
     ]);
 
     // Get top performing users
-    const topUsers = await User.find({ isActive: true })
+    const topUsers = await User.find(scopeUserQuery(req, { isActive: true }))
       .select('username firstName lastName tokenBalance packagesReturned carbonSaved sustainabilityScore location')
       .sort({ sustainabilityScore: -1 })
       .limit(10);
 
     // Get user growth over time
     const userGrowth = await User.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopeUserQuery(req, { isActive: true }) },
       {
         $group: {
           _id: {
@@ -220,7 +224,7 @@ router.get('/engagement', async (req, res) => {
 
     // Get user retention (users who returned packages)
     const retentionStats = await User.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopeUserQuery(req, { isActive: true }) },
       {
         $group: {
           _id: null,
@@ -258,7 +262,7 @@ router.get('/lifecycle', async (req, res) => {
   try {
     // Get package status distribution
     const statusDistribution = await Package.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopePackageQuery(req, { isActive: true }) },
       {
         $group: {
           _id: '$status',
@@ -270,7 +274,7 @@ router.get('/lifecycle', async (req, res) => {
 
     // Get average time in each status
     const avgTimeInStatus = await Package.aggregate([
-      { $match: { isActive: true, 'trackingHistory.1': { $exists: true } } },
+      { $match: scopePackageQuery(req, { isActive: true, 'trackingHistory.1': { $exists: true } }) },
       {
         $project: {
           packageId: 1,
@@ -295,7 +299,7 @@ router.get('/lifecycle', async (req, res) => {
 
     // Get package reuse statistics
     const reuseStats = await Package.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopePackageQuery(req, { isActive: true }) },
       {
         $group: {
           _id: null,
@@ -309,7 +313,7 @@ router.get('/lifecycle', async (req, res) => {
 
     // Get package type performance
     const typePerformance = await Package.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopePackageQuery(req, { isActive: true }) },
       {
         $group: {
           _id: '$type',
@@ -357,20 +361,20 @@ router.get('/realtime', async (req, res) => {
     const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
     // Recent package returns
-    const recentReturns = await Package.countDocuments({
+    const recentReturns = await Package.countDocuments(scopePackageQuery(req, {
       'return.returnedAt': { $gte: oneHourAgo },
       isActive: true
-    });
+    }));
 
     // Recent user registrations
-    const recentRegistrations = await User.countDocuments({
+    const recentRegistrations = await User.countDocuments(scopeUserQuery(req, {
       createdAt: { $gte: oneDayAgo },
       isActive: true
-    });
+    }));
 
     // Recent token transactions
     const recentTokens = await User.aggregate([
-      { $match: { isActive: true } },
+      { $match: scopeUserQuery(req, { isActive: true }) },
       {
         $project: {
           recentAchievements: {
@@ -391,10 +395,10 @@ router.get('/realtime', async (req, res) => {
     ]);
 
     // Active packages
-    const activePackages = await Package.countDocuments({
+    const activePackages = await Package.countDocuments(scopePackageQuery(req, {
       status: { $in: ['manufactured', 'dispatched', 'in_transit'] },
       isActive: true
-    });
+    }));
 
     res.json({
       realtime: {
@@ -415,4 +419,111 @@ router.get('/realtime', async (req, res) => {
   }
 });
 
+// Hours between two dates in an aggregation, positive when the second is later
+const hoursBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 60 * 60 * 1000] });
+
+const isWithin = (date, lower, upper) => ({ $and: [{ $gte: [date, lower] }, { $lte: [date, upper] }] });
+
+// Error of the initial (at dispatch) and final (last scan) estimates against actual delivery
+const etaAccuracyGroup = (id) => ({
+  $group: {
+    _id: id,
+    deliveries: { $sum: 1 },
+    initialMeanAbsoluteErrorHours: { $avg: { $abs: '$initialErrorHours' } },
+    initialBiasHours: { $avg: '$initialErrorHours' },
+    initialWithinInterval: { $avg: { $cond: ['$initialWithinInterval', 1, 0] } },
+    finalMeanAbsoluteErrorHours: { $avg: { $abs: '$finalErrorHours' } },
+    finalBiasHours: { $avg: '$finalErrorHours' },
+    finalWithinInterval: { $avg: { $cond: ['$finalWithinInterval', 1, 0] } }
+  }
+});
+
+const roundAccuracy = ({ _id, ...stats }) => Object.fromEntries(
+  Object.entries(stats).map(([key, value]) => [key, key === 'deliveries' ? value : Math.round(value * 100) / 100])
+);
+
+// Get delivery ETA accuracy: predicted vs actual delivery times
+router.get('/eta', async (req, res) => {
+  try {
+    const { period = 'all' } = req.query;
+
+    const periodDays = { week: 7, month: 30, year: 365 }[period];
+    const deliveredFilter = periodDays
+      ? { $gte: new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000) }
+      : { $ne: null };
+
+    const [accuracy] = await Package.aggregate([
+      { $match: scopePackageQuery(req, { 'reuseCycles.eta.initial.expected': { $exists: true } }) },
+      { $unwind: '$reuseCycles' },
+      {
+        $match: {
+          'reuseCycles.deliveredAt': deliveredFilter,
+          'reuseCycles.eta.initial.expected': { $exists: true }
+        }
+      },
+      {
+        $project: {
+          basis: '$reuseCycles.eta.basis',
+          origin: '$reuseCycles.eta.origin',
+          destination: '$reuseCycles.eta.destination',
+          initialErrorHours: hoursBetween('$reuseCycles.eta.initial.expected', '$reuseCycles.deliveredAt'),
+          finalErrorHours: hoursBetween('$reuseCycles.eta.expected', '$reuseCycles.deliveredAt'),
+          initialWithinInterval: isWithin('$reuseCycles.deliveredAt', '$reuseCycles.eta.initial.lower', '$reuseCycles.eta.initial.upper'),
+          finalWithinInterval: isWithin('$reuseCycles.deliveredAt', '$reuseCycles.eta.lower', '$reuseCycles.eta.upper')
+        }
+      },
+      {
+        $facet: {
+          overall: [etaAccuracyGroup(null)],
+          byBasis: [etaAccuracyGroup('$basis'), { $sort: { deliveries: -1 } }],
+          byLane: [
+            etaAccuracyGroup({ origin: '$origin', destination: '$destination' }),
+            { $sort: { deliveries: -1 } },
+            { $limit: 20 }
+          ]
+        }
+      }
+    ]);
+
+    res.json({
+      eta: {
+        period,
+        overall: accuracy.overall[0] ? roundAccuracy(accuracy.overall[0]) : { deliveries: 0 },
+        byBasis: accuracy.byBasis.map(group => ({ basis: group._id, ...roundAccuracy(group) })),
+        byLane: accuracy.byLane.map(group => ({
+          origin: group._id.origin || null,
+          destination: group._id.destination || null,
+          ...roundAccuracy(group)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ETA analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ETA analytics',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Rebuild learned transit lanes from all tracking history
+router.post('/eta/relearn', requirePermission('analytics:manage'), async (req, res) => {
+  try {
+    const result = await relearnLanes();
+
+    res.json({
+      message: 'Transit lanes rebuilt successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Relearn ETA lanes error:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild transit lanes',
+      message: 'Internal server error'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
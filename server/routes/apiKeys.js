@@ -0,0 +1,197 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { hasPermission } from '../middleware/authorize.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+// A key may be granted `<permission>` or `<permission>:own` for any known permission
+const isKnownPermission = (permission) => PERMISSIONS.includes(permission.replace(/:own$/, ''));
+
+// Nobody can mint a key that is more powerful than themselves
+const canGrant = (user, permission) => hasPermission(user, permission)
+  || (permission.endsWith(':own') && hasPermission(user, permission.replace(/:own$/, '')));
+
+// List API keys
+router.get('/', async (req, res) => {
+  try {
+    const { owner, includeRevoked } = req.query;
+
+    const query = {};
+    if (owner) query.owner = owner;
+    if (includeRevoked !== 'true') query.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('owner', 'username firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      apiKeys,
+      count: apiKeys.length
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create API key (the raw key is only returned here and on rotation)
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+  body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').isString().custom(isKnownPermission).withMessage('Unknown permission'),
+  body('scope').optional().isObject(),
+  body('scope.facility').optional().isString(),
+  body('scope.organization').optional().isMongoId().withMessage('Invalid organization ID'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, permissions, scope = {}, expiresAt } = req.body;
+
+    const notGrantable = permissions.filter(permission => !canGrant(req.user, permission));
+    if (notGrantable.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `You cannot grant: ${notGrantable.join(', ')}`
+      });
+    }
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      name,
+      permissions: [...new Set(permissions)],
+      scope: {
+        facility: scope.facility || null,
+        organization: scope.organization || null
+      },
+      owner: req.user._id,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await recordAudit(req, {
+      action: 'apikey.create',
+      target: { type: 'apikey', id: apiKey._id },
+      after: { name: apiKey.name, permissions: apiKey.permissions, scope: apiKey.scope, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully. Store the key now; it will not be shown again.',
+      apiKey,
+      key: rawKey
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Rotate API key (the previous key keeps working for a grace period)
+router.post('/:keyId/rotate', [
+  param('keyId').isMongoId().withMessage('Invalid API key ID'),
+  body('graceHours').optional().isFloat({ min: 0, max: 168 }).withMessage('graceHours must be between 0 and 168')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = req.body;
+
+    const apiKey = await ApiKey.findById(req.params.keyId);
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No active API key found with the provided ID'
+      });
+    }
+
+    const rawKey = await apiKey.rotate(graceHours * 60 * 60 * 1000);
+
+    await recordAudit(req, {
+      action: 'apikey.rotate',
+      target: { type: 'apikey', id: apiKey._id },
+      metadata: { graceHours }
+    });
+
+    res.json({
+      message: 'API key rotated successfully. Store the new key now; it will not be shown again.',
+      apiKey,
+      key: rawKey,
+      previousKeyExpiresAt: apiKey.previousKeyExpiresAt
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate API key',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/:keyId', [
+  param('keyId').isMongoId().withMessage('Invalid API key ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No API key found with the provided ID'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.previousKeyHash = null;
+      await apiKey.save();
+
+      await recordAudit(req, { action: 'apikey.revoke', target: { type: 'apikey', id: apiKey._id } });
+    }
+
+    res.json({
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import AuditEvent from '../models/AuditEvent.js';
+import { verifyChain } from '../services/audit.js';
+import { escapeRegex } from '../services/search.js';
+
+const router = express.Router();
+
+// Search audit events
+router.get('/', [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('impersonatedUser').optional().isMongoId().withMessage('Invalid impersonated user ID'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, actor, impersonatedUser, action, targetType, targetId, requestId, from, to } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (impersonatedUser) filter.impersonatedUser = impersonatedUser;
+    // 'user.*' matches every action in the user namespace
+    if (action) {
+      filter.action = action.endsWith('.*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -2))}\\.` }
+        : action;
+    }
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const events = await AuditEvent.find(filter)
+      .populate('actor', 'username firstName lastName role')
+      .populate('impersonatedUser', 'username firstName lastName role')
+      .populate('apiKey', 'name prefix')
+      .sort({ sequence: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Verify the audit log's hash chain
+router.get('/verify', [
+  query('fromSequence').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { fromSequence = 1, limit = 10000 } = req.query;
+
+    const result = await verifyChain({
+      fromSequence: fromSequence * 1,
+      limit: limit * 1
+    });
+
+    res.status(result.valid ? 200 : 409).json({ verification: result });
+
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({
+      error: 'Failed to verify audit log',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
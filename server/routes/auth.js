@@ -1,23 +1,179 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import QRCode from 'qrcode';
 import User from '../models/User.js';
-import { generateToken, authenticateToken } from '../middleware/auth.js';
+import OneTimeToken from '../models/OneTimeToken.js';
+import Invitation from '../models/Invitation.js';
+import {
+  authenticateUser,
+  forbidImpersonation,
+  generateChallengeToken,
+  verifyChallengeToken,
+  CHALLENGE_TOKEN_TTL_MS
+} from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} from '../services/session.js';
+import { sendVerificationEmail, sendPasswordResetEmail, appLink } from '../services/mail.js';
+import {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  encryptSecret,
+  decryptSecret
+} from '../services/totp.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetFailedLogins
+} from '../services/loginProtection.js';
+import { eraseUser } from '../services/privacy.js';
+import {
+  OidcError,
+  isOidcEnabled,
+  getOidcProviderName,
+  createAuthorizationUrl,
+  exchangeAuthorizationCode,
+  findOrProvisionUser
+} from '../services/oidc.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000;
+const SSO_EXCHANGE_TTL_MS = 2 * 60 * 1000;
+
+// Issue a 2FA login or setup challenge whose ID is stored, so one challenge can finish only one login
+const issueLoginChallenge = async (user, purpose = '2fa_login') => {
+  const challengeId = await OneTimeToken.issue(user._id, purpose, CHALLENGE_TOKEN_TTL_MS);
+  return generateChallengeToken(user._id, purpose, challengeId);
+};
+
+// Issue a fresh verification token and email it to the user
+const issueVerificationEmail = async (user) => {
+  const token = await OneTimeToken.issue(
+    user._id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Open a session for a fully authenticated user and build the login response body
+const completeLogin = async (user, req) => {
+  const tokens = await createSession(user._id, req);
+  await resetFailedLogins(user._id);
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  return {
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isVerified: user.isVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      walletAddress: user.walletAddress,
+      tokenBalance: user.tokenBalance,
+      packagesReturned: user.packagesReturned,
+      carbonSaved: user.carbonSaved,
+      sustainabilityScore: user.sustainabilityScore,
+      badges: user.badges,
+      location: user.location
+    },
+    ...tokens
+  };
+};
+
+// Respond to an attempt on a locked or throttled account
+const rejectBlockedLogin = (res, { reason, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+
+  if (reason === 'locked') {
+    return res.status(423).json({
+      error: 'Account locked',
+      message: 'Too many failed login attempts. Please try again later or contact support.',
+      retryAfter
+    });
+  }
+
+  return res.status(429).json({
+    error: 'Too many attempts',
+    message: `Please wait ${retryAfter} seconds before trying again`,
+    retryAfter
+  });
+};
+
+// Respond to a failed password or 2FA code, applying the account's brute-force policy
+const rejectFailedLogin = async (req, res, user, reason, body, status = 401) => {
+  const result = await recordFailedLogin(user, req, reason);
+
+  if (result.locked) {
+    return rejectBlockedLogin(res, { reason: 'locked', retryAfter: result.retryAfter });
+  }
+
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  return res.status(status).json(body);
+};
+
+// Accepts either a normal access token or a 2FA setup challenge issued at login,
+// so users whose role requires 2FA can enroll before they have a session
+const authenticateEnrollment = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) return authenticateUser(req, res, next);
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, '2fa_setup');
+    const challenge = decoded?.jti && await OneTimeToken.findValid(decoded.jti, '2fa_setup');
+    const user = challenge && await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'The login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
+    req.challengeId = decoded.jti;
+    next();
+  } catch (error) {
+    console.error('2FA enrollment auth error:', error);
+    res.status(500).json({
+      error: 'Authentication error',
+      message: 'Internal server error during authentication'
+    });
+  }
+};
+
 // Validation rules
-const registerValidation = [
-  body('username')
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Username must be between 3 and 30 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
+const usernameValidation = body('username')
+  .isLength({ min: 3, max: 30 })
+  .withMessage('Username must be between 3 and 30 characters')
+  .matches(/^[a-zA-Z0-9_]+$/)
+  .withMessage('Username can only contain letters, numbers, and underscores');
+
+// Everything a new account needs besides username and email
+const accountValidation = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
@@ -37,6 +193,22 @@ const registerValidation = [
     .withMessage('Please provide a valid phone number')
 ];
 
+const registerValidation = [
+  usernameValidation,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  ...accountValidation
+];
+
+// The email comes from the invitation, so it isn't accepted from the client
+const acceptInviteValidation = [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  usernameValidation,
+  ...accountValidation
+];
+
 const loginValidation = [
   body('email')
     .isEmail()
@@ -88,20 +260,27 @@ router.post('/register', registerValidation, async (req, res) => {
       phone,
       location,
       walletAddress,
-      isVerified: true // Auto-verify for demo
+      isVerified: false
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email should not fail the registration; the user can ask for a resend
+    try {
+      await issueVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Open a session and issue tokens
+    const tokens = await createSession(user._id, req);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       user: {
         id: user._id,
         username: user.username,
@@ -109,13 +288,14 @@ router.post('/register', registerValidation, async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
+        isVerified: user.isVerified,
         walletAddress: user.walletAddress,
         tokenBalance: user.tokenBalance,
         packagesReturned: user.packagesReturned,
         carbonSaved: user.carbonSaved,
         sustainabilityScore: user.sustainabilityScore
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -127,6 +307,139 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// Look up an invitation before accepting it
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findUsable(req.params.token)
+      .populate('organization', 'name')
+      .populate('invitedBy', 'firstName lastName');
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invalid invitation',
+        message: 'The invitation link is invalid, has expired, has been revoked or has already been used'
+      });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organization: invitation.organization?.name || null,
+        invitedBy: invitation.invitedBy
+          ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+          : null,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Register through an invitation, with the invited role and organization
+router.post('/accept-invite', acceptInviteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, username, password, firstName, lastName, phone, location } = req.body;
+
+    const pending = await Invitation.findUsable(token);
+    if (!pending) {
+      return res.status(400).json({
+        error: 'Invalid invitation',
+        message: 'The invitation link is invalid, has expired, has been revoked or has already been used'
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ email: pending.email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'User already exists',
+        message: existingUser.email === pending.email
+          ? 'Email is already registered'
+          : 'Username is already taken'
+      });
+    }
+
+    // Claim first so two parallel requests can't both use the invitation
+    const invitation = await Invitation.claim(token);
+    if (!invitation) {
+      return res.status(400).json({
+        error: 'Invalid invitation',
+        message: 'The invitation link is invalid, has expired, has been revoked or has already been used'
+      });
+    }
+
+    let user;
+    try {
+      user = new User({
+        username,
+        email: invitation.email,
+        password,
+        firstName,
+        lastName,
+        phone,
+        location,
+        role: invitation.role,
+        organization: invitation.organization,
+        organizationRole: invitation.organizationRole,
+        walletAddress: `0x${crypto.randomBytes(20).toString('hex')}`,
+        // Following the emailed link proves ownership of the address
+        isVerified: true
+      });
+      await user.save();
+    } catch (creationError) {
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', $unset: { acceptedAt: 1 } }
+      );
+      throw creationError;
+    }
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'invitation.accept',
+      target: { type: 'invitation', id: invitation._id },
+      after: { userId: user._id, role: user.role, organization: user.organization }
+    });
+
+    // Staff roles may have to enroll in 2FA before their first session
+    if (user.requiresTwoFactor()) {
+      return res.status(201).json({
+        message: 'Two-factor authentication setup required for your role',
+        twoFactorSetupRequired: true,
+        challengeToken: await issueLoginChallenge(user, '2fa_setup')
+      });
+    }
+
+    res.status(201).json(await completeLogin(user, req));
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: 'Internal server error during registration'
+    });
+  }
+});
+
 // Login user
 router.post('/login', loginValidation, async (req, res) => {
   try {
@@ -158,41 +471,48 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
+    // Per-account lockout and progressive delay
+    const loginCheck = checkLoginAllowed(user);
+    if (!loginCheck.allowed) {
+      return rejectBlockedLogin(res, loginCheck);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
+      return rejectFailedLogin(req, res, user, 'password', {
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Accounts linked to the identity provider must sign in there
+    if (user.sso?.subject) {
+      return res.status(403).json({
+        error: 'Single sign-on required',
+        message: 'This account signs in through your organization\'s identity provider'
+      });
+    }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Second step: enrolled users must present a TOTP or recovery code
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await issueLoginChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        walletAddress: user.walletAddress,
-        tokenBalance: user.tokenBalance,
-        packagesReturned: user.packagesReturned,
-        carbonSaved: user.carbonSaved,
-        sustainabilityScore: user.sustainabilityScore,
-        badges: user.badges,
-        location: user.location
-      },
-      token
-    });
+    // Policy: roles that require 2FA must enroll before getting a session
+    if (user.requiresTwoFactor()) {
+      return res.json({
+        message: 'Two-factor authentication setup required for your role',
+        twoFactorSetupRequired: true,
+        challengeToken: await issueLoginChallenge(user, '2fa_setup')
+      });
+    }
+
+    res.json(await completeLogin(user, req));
 
   } catch (error) {
     console.error('Login error:', error);
@@ -203,57 +523,150 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+// Complete login with a TOTP or recovery code
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('badges')
-      .populate('achievements');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    res.json({
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        walletAddress: user.walletAddress,
-        tokenBalance: user.tokenBalance,
-        totalTokensEarned: user.totalTokensEarned,
-        totalTokensSpent: user.totalTokensSpent,
-        packagesReturned: user.packagesReturned,
-        packagesTracked: user.packagesTracked,
-        carbonSaved: user.carbonSaved,
-        plasticReduced: user.plasticReduced,
-        sustainabilityScore: user.sustainabilityScore,
-        badges: user.badges,
-        achievements: user.achievements,
-        location: user.location,
-        avatar: user.avatar,
-        preferences: user.preferences,
-        lastLogin: user.lastLogin,
-        createdAt: user.createdAt
-      }
-    });
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_login');
+    if (!decoded?.jti || !(await OneTimeToken.findValid(decoded.jti, '2fa_login'))) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'The login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'The login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const loginCheck = checkLoginAllowed(user);
+    if (!loginCheck.allowed) {
+      return rejectBlockedLogin(res, loginCheck);
+    }
+
+    const factor = await verifySecondFactor(user, { code, recoveryCode });
+    if (!factor) {
+      return rejectFailedLogin(req, res, user, '2fa', {
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    // A challenge completes one login; a parallel request with the same one loses here
+    if (!(await OneTimeToken.consume(decoded.jti, '2fa_login'))) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'The login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const response = await completeLogin(user, req);
+    if (factor === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.filter(rc => !rc.usedAt).length;
+    }
+
+    res.json(response);
 
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('2FA login error:', error);
     res.status(500).json({
-      error: 'Profile fetch failed',
-      message: 'Internal server error while fetching profile'
+      error: 'Login failed',
+      message: 'Internal server error during login'
     });
   }
 });
 
-// Update user profile
-router.put('/profile', authenticateToken, [
-  body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
-  body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
-  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
-  body('location').optional().isObject(),
-  body('preferences').optional().isObject()
+// Single sign-on availability, for showing the SSO button
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    enabled: isOidcEnabled(),
+    providerName: isOidcEnabled() ? getOidcProviderName() : null
+  });
+});
+
+// Start single sign-on: redirects the browser to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      error: 'SSO not configured',
+      message: 'Single sign-on is not enabled on this server'
+    });
+  }
+
+  try {
+    // Only same-site paths, so the callback can't be turned into an open redirect
+    const { returnTo } = req.query;
+    const safeReturnTo = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : '/';
+
+    res.redirect(await createAuthorizationUrl({ returnTo: safeReturnTo }));
+
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.redirect(appLink('/sso/callback', { error: 'provider_unavailable' }));
+  }
+});
+
+// Identity provider callback: hands the browser a short-lived code to exchange for tokens
+router.get('/oidc/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code || !state) {
+    return res.redirect(appLink('/sso/callback', { error: typeof error === 'string' ? error : 'invalid_request' }));
+  }
+
+  try {
+    const { claims, returnTo } = await exchangeAuthorizationCode({ state, code });
+    const { user, created, previousRole } = await findOrProvisionUser(claims);
+
+    if (created) {
+      await recordAudit(req, {
+        action: 'user.sso_provision',
+        target: { type: 'user', id: user._id },
+        after: { role: user.role },
+        metadata: { subject: claims.sub }
+      });
+    } else if (previousRole !== user.role) {
+      await recordAudit(req, {
+        action: 'user.sso_role_sync',
+        target: { type: 'user', id: user._id },
+        before: { role: previousRole },
+        after: { role: user.role }
+      });
+    }
+
+    const exchangeCode = await OneTimeToken.issue(user._id, 'sso_login', SSO_EXCHANGE_TTL_MS);
+    res.redirect(appLink('/sso/callback', { code: exchangeCode, returnTo }));
+
+  } catch (error) {
+    if (!(error instanceof OidcError)) {
+      console.error('SSO callback error:', error);
+    } else {
+      console.warn(`SSO login rejected (${error.code}): ${error.message}`);
+    }
+    res.redirect(appLink('/sso/callback', { error: error instanceof OidcError ? error.code : 'server_error' }));
+  }
+});
+
+// Exchange the code from the SSO callback for a session
+router.post('/oidc/exchange', [
+  body('code').isString().notEmpty().withMessage('Code is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -264,20 +677,195 @@ router.put('/profile', authenticateToken, [
       });
     }
 
-    const { firstName, lastName, phone, location, preferences } = req.body;
-    const updateData = {};
+    const exchange = await OneTimeToken.consume(req.body.code, 'sso_login');
+    if (!exchange) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The sign-in code is invalid, has expired or has already been used'
+      });
+    }
 
-    if (firstName) updateData.firstName = firstName;
-    if (lastName) updateData.lastName = lastName;
-    if (phone) updateData.phone = phone;
-    if (location) updateData.location = location;
-    if (preferences) updateData.preferences = preferences;
+    const user = await User.findById(exchange.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Account deactivated',
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password');
+    // The identity provider is responsible for MFA, so no local 2FA step here
+    res.json(await completeLogin(user, req));
+
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Internal server error during login'
+    });
+  }
+});
+
+// Verify email address with a one-time token
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const verification = await OneTimeToken.consume(req.body.token, 'email_verification');
+    if (!verification) {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        message: 'The verification link is invalid, has expired or has already been used'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verification.user,
+      { isVerified: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The account for this verification link no longer exists'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        isVerified: user.isVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'Internal server error during email verification'
+    });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authenticateUser, forbidImpersonation, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const latest = await OneTimeToken.findLatest(req.user._id, 'email_verification');
+    if (latest && Date.now() - latest.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    await issueVerificationEmail(req.user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      message: 'Internal server error while sending verification email'
+    });
+  }
+});
+
+// Get current user profile
+router.get('/profile', authenticateUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('-password')
+      .populate('badges')
+      .populate('achievements');
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        isVerified: user.isVerified,
+        walletAddress: user.walletAddress,
+        tokenBalance: user.tokenBalance,
+        totalTokensEarned: user.totalTokensEarned,
+        totalTokensSpent: user.totalTokensSpent,
+        packagesReturned: user.packagesReturned,
+        packagesTracked: user.packagesTracked,
+        carbonSaved: user.carbonSaved,
+        plasticReduced: user.plasticReduced,
+        sustainabilityScore: user.sustainabilityScore,
+        badges: user.badges,
+        achievements: user.achievements,
+        location: user.location,
+        avatar: user.avatar,
+        preferences: user.preferences,
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      error: 'Profile fetch failed',
+      message: 'Internal server error while fetching profile'
+    });
+  }
+});
+
+// Update user profile
+router.put('/profile', authenticateUser, forbidImpersonation, [
+  body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
+  body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
+  body('location').optional().isObject(),
+  body('preferences').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { firstName, lastName, phone, location, preferences } = req.body;
+    const updateData = {};
+
+    if (firstName) updateData.firstName = firstName;
+    if (lastName) updateData.lastName = lastName;
+    if (phone) updateData.phone = phone;
+    if (location) updateData.location = location;
+    if (preferences) updateData.preferences = preferences;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('-password');
 
     res.json({
       message: 'Profile updated successfully',
@@ -308,7 +896,7 @@ router.put('/profile', authenticateToken, [
 });
 
 // Change password
-router.put('/change-password', authenticateToken, [
+router.put('/change-password', authenticateUser, forbidImpersonation, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
     .isLength({ min: 6 })
@@ -340,8 +928,15 @@ router.put('/change-password', authenticateToken, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device that knew the old password
+    const sessionsRevoked = await revokeAllSessions(user._id, {
+      reason: 'password_change',
+      exceptSessionId: req.sessionId
+    });
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      sessionsRevoked
     });
 
   } catch (error) {
@@ -353,14 +948,54 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    // Update last login (could be used for session tracking)
-    await User.findByIdAndUpdate(req.user._id, {
-      lastLogin: new Date()
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'Refresh token is invalid, expired or has been revoked'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
     });
 
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: 'Internal server error during token refresh'
+    });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, { userId: req.user._id, reason: 'logout' });
+
+    if (req.impersonator) {
+      await recordAudit(req, {
+        action: 'user.impersonation_end',
+        target: { type: 'user', id: req.user._id },
+        metadata: { sessionId: req.sessionId }
+      });
+    }
+
     res.json({
       message: 'Logout successful'
     });
@@ -374,15 +1009,508 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Logout from every device
+router.post('/logout-all', authenticateUser, forbidImpersonation, async (req, res) => {
+  try {
+    const sessionsRevoked = await revokeAllSessions(req.user._id, { reason: 'logout_all' });
+
+    res.json({
+      message: 'Logged out from all devices',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      sessions,
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', authenticateUser, forbidImpersonation, [
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await revokeSession(req.params.sessionId, {
+      userId: req.user._id,
+      reason: 'revoked_by_user'
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No session found with the provided ID'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'Internal server error while revoking session'
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists, so emails can't be enumerated
+    // SSO accounts have no usable password, so there is nothing to reset
+    if (user && user.isActive && !user.sso?.subject) {
+      const latest = await OneTimeToken.findLatest(user._id, 'password_reset');
+      const coolingDown = latest && Date.now() - latest.createdAt.getTime() < PASSWORD_RESET_COOLDOWN_MS;
+
+      if (!coolingDown) {
+        const token = await OneTimeToken.issue(
+          user._id,
+          'password_reset',
+          PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        );
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Password reset request failed',
+      message: 'Internal server error while requesting password reset'
+    });
+  }
+});
+
+// Reset password with a one-time token
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const resetToken = await OneTimeToken.findValid(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'The reset link is invalid, has expired or has already been used'
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'The reset link is invalid, has expired or has already been used'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        error: 'Password unchanged',
+        message: 'The new password must be different from the current password'
+      });
+    }
+
+    // Redeem atomically so a link can't be used twice by concurrent requests
+    if (!(await OneTimeToken.consume(token, 'password_reset'))) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'The reset link is invalid, has expired or has already been used'
+      });
+    }
+
+    // The pre-save hook hashes the new password
+    user.password = newPassword;
+    await user.save();
+
+    // Anyone holding a session from before the reset is signed out
+    const sessionsRevoked = await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+    // Proving control of the mailbox lifts any lockout from guessed passwords
+    await resetFailedLogins(user._id);
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password.',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'Internal server error while resetting password'
+    });
+  }
+});
+
+// Confirm account erasure with a one-time token
+router.post('/confirm-erasure', [
+  body('token').isString().notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const confirmation = await OneTimeToken.consume(req.body.token, 'account_erasure');
+    if (!confirmation) {
+      return res.status(400).json({
+        error: 'Invalid confirmation token',
+        message: 'The confirmation link is invalid, has expired or has already been used'
+      });
+    }
+
+    const erased = await eraseUser(confirmation.user);
+    if (!erased) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The account for this link no longer exists'
+      });
+    }
+
+    res.json({
+      message: 'Your account and personal data have been deleted'
+    });
+
+  } catch (error) {
+    console.error('Confirm erasure error:', error);
+    res.status(500).json({
+      error: 'Account erasure failed',
+      message: 'Internal server error while erasing account'
+    });
+  }
+});
+
+// Get two-factor authentication status
+router.get('/2fa', authenticateUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      twoFactor: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: user.requiresTwoFactor(),
+        recoveryCodesRemaining: user.twoFactor.enabled
+          ? user.twoFactor.recoveryCodes.filter(rc => !rc.usedAt).length
+          : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch 2FA status',
+      message: 'Internal server error while fetching 2FA status'
+    });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret and its provisioning URI/QR code
+router.post('/2fa/setup', authenticateEnrollment, forbidImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: '2FA setup failed',
+      message: 'Internal server error during 2FA setup'
+    });
+  }
+});
+
+// Confirm 2FA enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateEnrollment, forbidImpersonation, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'No pending setup',
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    // Enrollment codes count towards the same lockout as login codes
+    const loginCheck = checkLoginAllowed(user);
+    if (!loginCheck.allowed) {
+      return rejectBlockedLogin(res, loginCheck);
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return rejectFailedLogin(req, res, user, '2fa_enroll', {
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      }, 400);
+    }
+
+    // A setup challenge completes one enrollment; a parallel request with the same one loses here
+    if (req.viaChallenge && !(await OneTimeToken.consume(req.challengeId, '2fa_setup'))) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'The login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes.map(codeHash => ({ codeHash }));
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    };
+
+    // Enrolling from a login challenge finishes that login
+    if (req.viaChallenge) {
+      Object.assign(response, await completeLogin(user, req), { message: response.message });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable 2FA',
+      message: 'Internal server error while enabling 2FA'
+    });
+  }
+});
+
+// Disable 2FA (not allowed for roles where it is mandatory)
+router.post('/2fa/disable', authenticateUser, forbidImpersonation, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        error: '2FA required',
+        message: `Two-factor authentication is mandatory for the ${user.role} role`
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'The password you provided is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable 2FA',
+      message: 'Internal server error while disabling 2FA'
+    });
+  }
+});
+
+// Replace recovery codes (invalidates the old ones)
+router.post('/2fa/recovery-codes', authenticateUser, forbidImpersonation, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes.map(codeHash => ({ codeHash }));
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      message: 'Internal server error while regenerating recovery codes'
+    });
+  }
+});
+
 // Verify token validity
-router.get('/verify', authenticateToken, async (req, res) => {
+router.get('/verify', authenticateUser, async (req, res) => {
   res.json({
     valid: true,
     user: {
       id: req.user._id,
       username: req.user.username,
       role: req.user.role
-    }
+    },
+    impersonator: req.impersonator
+      ? { id: req.impersonator._id, username: req.impersonator.username }
+      : null
   });
 });
 
@@ -6,6 +6,8 @@ import {
   submitTransaction, 
   evaluateTransaction 
 } from '../services/blockchain.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -44,7 +46,7 @@ router.get('/chaincode', async (req, res) => {
 });
 
 // Invoke a transaction on the chaincode
-router.post('/invoke', [
+router.post('/invoke', requirePermission('ledger:invoke'), [
   body('functionName').isString().withMessage('Function name is required'),
   body('args').isArray().withMessage('Arguments must be an array of strings'),
 ], async (req, res) => {
@@ -61,6 +63,12 @@ router.post('/invoke', [
   try {
     console.log(`Invoking chaincode function: ${functionName}`);
     const result = await submitTransaction(functionName, args);
+
+    await recordAudit(req, {
+      action: 'ledger.invoke',
+      target: { type: 'chaincode', id: functionName },
+      metadata: { args }
+    });
     
     // The result from submitTransaction is a buffer.
     // We'll return it as a string, but clients may need to parse it (e.g., if it's JSON).
@@ -79,7 +87,7 @@ router.post('/invoke', [
 });
 
 // Query the chaincode
-router.post('/query', [
+router.post('/query', requirePermission('ledger:query'), [
   body('functionName').isString().withMessage('Function name is required'),
   body('args').isArray().withMessage('Arguments must be an array of strings'),
 ], async (req, res) => {
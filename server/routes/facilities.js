@@ -0,0 +1,397 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Facility, { FACILITY_TYPES, isClosedRing } from '../models/Facility.js';
+import { hasPermission } from '../middleware/authorize.js';
+import { canManageOrganization } from '../services/tenancy.js';
+import { recordAudit } from '../services/audit.js';
+import { containsText } from '../services/search.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'type', 'location', 'address', 'city', 'state', 'boundary', 'radius',
+  'openingHours', 'timezone', 'capacity', 'isActive'];
+
+// Platform facilities need facility:manage; an organization's own facilities
+// may also be managed by its owners and admins
+const canManageFacility = (user, organizationId) => hasPermission(user, 'facility:manage')
+  || (!!organizationId && canManageOrganization(user, organizationId));
+
+const denyManage = (res) => res.status(403).json({
+  error: 'Insufficient permissions',
+  message: 'Required permission: facility:manage'
+});
+
+// Editable fields, as recorded in the audit log
+const auditSnapshot = (facility) => {
+  const snapshot = facility.toObject();
+  return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, snapshot[field]]));
+};
+
+const invalidFacility = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(({ path, message }) => ({ path, msg: message }))
+});
+
+// MongoDB refuses to index geometry it can't interpret, e.g. a self-intersecting polygon
+const GEO_KEY_ERROR = 16755;
+
+const invalidGeometry = (res) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ path: 'boundary', msg: 'boundary is not a valid polygon (edges may cross or rings overlap)' }]
+});
+
+// Shared by create and update; `optional` relaxes the fields create requires
+const facilityRules = (optional) => {
+  const field = (check) => optional ? check.optional() : check;
+  return [
+    field(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+    field(body('type')).isIn(FACILITY_TYPES).withMessage('Invalid facility type'),
+    field(body('location.coordinates')).isArray({ min: 2, max: 2 }).withMessage('location.coordinates must be [longitude, latitude]'),
+    body('location.coordinates.0').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+    body('location.coordinates.1').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+    body('boundary').optional({ nullable: true })
+      .custom(boundary => boundary?.type === 'Polygon'
+        && Array.isArray(boundary.coordinates)
+        && boundary.coordinates.length > 0
+        && boundary.coordinates.every(isClosedRing))
+      .withMessage('boundary must be a GeoJSON Polygon of closed rings with at least four [longitude, latitude] positions'),
+    body('radius').optional({ nullable: true }).isFloat({ min: 1, max: 50000 }).withMessage('radius must be 1-50000 metres').toFloat(),
+    body('openingHours').optional().isArray(),
+    body('timezone').optional().isString(),
+    body('capacity').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+    body('address').optional().isString(),
+    body('city').optional().isString(),
+    body('state').optional().isString()
+  ];
+};
+
+// Find the drop points (or other facilities) nearest a point
+router.get('/nearest', [
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  query('type').optional().isIn(FACILITY_TYPES).withMessage('Invalid facility type'),
+  query('maxDistance').optional().isInt({ min: 1, max: 100000 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+  query('openNow').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { longitude, latitude, type = 'drop_point', maxDistance = 10000, limit = 5, openNow = false } = req.query;
+    const coordinates = [longitude, latitude];
+
+    // Over-fetch so closed or full facilities can be skipped
+    const candidates = await Facility.getNearest(coordinates, { types: [type], maxDistance, limit: 50 });
+    const load = await Facility.getLoad(candidates.map(facility => facility._id));
+    const now = new Date();
+
+    const facilities = candidates
+      .map(facility => {
+        const stored = load.get(String(facility._id)) || 0;
+        return {
+          ...facility,
+          distance: Math.round(facility.distance),
+          openNow: Facility.hydrate(facility).isOpenAt(now),
+          load: stored,
+          available: facility.capacity == null ? null : Math.max(facility.capacity - stored, 0)
+        };
+      })
+      .filter(facility => facility.available !== 0 && (!openNow || facility.openNow))
+      .slice(0, limit);
+
+    res.json({
+      facilities,
+      count: facilities.length,
+      searchLocation: coordinates,
+      maxDistance
+    });
+
+  } catch (error) {
+    console.error('Get nearest facilities error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch nearest facilities',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List facilities
+router.get('/', [
+  query('type').optional().isIn(FACILITY_TYPES).withMessage('Invalid facility type'),
+  query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, type, organization, search } = req.query;
+
+    const filter = { isActive: true };
+    if (type) filter.type = type;
+    if (organization) filter.organization = organization;
+    if (search) {
+      filter.$or = [
+        { name: containsText(search) },
+        { code: containsText(search) }
+      ];
+    }
+
+    const facilities = await Facility.find(filter)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Facility.countDocuments(filter);
+
+    res.json({
+      facilities,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get facilities error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch facilities',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get facility by ID, with its current load
+router.get('/:facilityId', [
+  param('facilityId').isMongoId().withMessage('Invalid facility ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const facility = await Facility.findById(req.params.facilityId)
+      .populate('organization', 'name slug type');
+
+    if (!facility) {
+      return res.status(404).json({
+        error: 'Facility not found',
+        message: 'No facility found with the provided ID'
+      });
+    }
+
+    const load = (await Facility.getLoad([facility._id])).get(String(facility._id)) || 0;
+
+    res.json({
+      facility,
+      openNow: facility.isOpenAt(),
+      load,
+      available: facility.capacity == null ? null : Math.max(facility.capacity - load, 0)
+    });
+
+  } catch (error) {
+    console.error('Get facility error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch facility',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Register a facility
+router.post('/', [
+  body('code').trim().matches(/^[A-Za-z0-9-]+$/).withMessage('Code may only contain letters, numbers and dashes'),
+  body('organization').optional({ nullable: true }).isMongoId().withMessage('Invalid organization ID'),
+  ...facilityRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = req.body.organization || null;
+    if (!canManageFacility(req.user, organization)) {
+      return denyManage(res);
+    }
+
+    const code = req.body.code.toUpperCase();
+    const existing = await Facility.findOne({ code });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Facility already exists',
+        message: 'A facility with this code already exists'
+      });
+    }
+
+    const facility = new Facility({
+      code,
+      organization,
+      createdBy: req.user._id
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) facility[field] = req.body[field];
+    });
+
+    try {
+      await facility.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return invalidFacility(res, error);
+      if (error.code === GEO_KEY_ERROR) return invalidGeometry(res);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'facility.create',
+      target: { type: 'facility', id: facility._id },
+      after: { code, ...auditSnapshot(facility) },
+      metadata: { organization }
+    });
+
+    res.status(201).json({
+      message: 'Facility created successfully',
+      facility
+    });
+
+  } catch (error) {
+    console.error('Create facility error:', error);
+    res.status(500).json({
+      error: 'Failed to create facility',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update facility
+router.put('/:facilityId', [
+  param('facilityId').isMongoId().withMessage('Invalid facility ID'),
+  body('isActive').optional().isBoolean(),
+  ...facilityRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const facility = await Facility.findById(req.params.facilityId);
+    if (!facility) {
+      return res.status(404).json({
+        error: 'Facility not found',
+        message: 'No facility found with the provided ID'
+      });
+    }
+
+    if (!canManageFacility(req.user, facility.organization)) {
+      return denyManage(res);
+    }
+
+    const before = auditSnapshot(facility);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) facility[field] = req.body[field];
+    });
+
+    try {
+      await facility.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return invalidFacility(res, error);
+      if (error.code === GEO_KEY_ERROR) return invalidGeometry(res);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'facility.update',
+      target: { type: 'facility', id: facility._id },
+      before,
+      after: auditSnapshot(facility)
+    });
+
+    res.json({
+      message: 'Facility updated successfully',
+      facility
+    });
+
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(500).json({
+      error: 'Failed to update facility',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Deactivate facility (scans there keep their history)
+router.delete('/:facilityId', [
+  param('facilityId').isMongoId().withMessage('Invalid facility ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const facility = await Facility.findById(req.params.facilityId);
+    if (!facility) {
+      return res.status(404).json({
+        error: 'Facility not found',
+        message: 'No facility found with the provided ID'
+      });
+    }
+
+    if (!canManageFacility(req.user, facility.organization)) {
+      return denyManage(res);
+    }
+
+    facility.isActive = false;
+    await facility.save();
+
+    await recordAudit(req, {
+      action: 'facility.deactivate',
+      target: { type: 'facility', id: facility._id },
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+
+    res.json({
+      message: 'Facility deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate facility error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate facility',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,291 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Invitation from '../models/Invitation.js';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import User from '../models/User.js';
+import { hasPermission } from '../middleware/authorize.js';
+import { canManageOrganization } from '../services/tenancy.js';
+import { sendInvitationEmail } from '../services/mail.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = 7;
+
+// Organization owners and admins may only bring in staff, never platform admins
+const ORGANIZATION_INVITE_ROLES = ['seller', 'logistics'];
+
+const isPlatformInviter = (user) => hasPermission(user, 'user:manage');
+
+// Whether the user may see and manage an invitation
+const canManageInvitation = (user, invitation) => isPlatformInviter(user)
+  || (!!invitation.organization && canManageOrganization(user, invitation.organization));
+
+const denyInvite = (res, message) => res.status(403).json({
+  error: 'Insufficient permissions',
+  message
+});
+
+const emailInvitation = async (invitation, token, inviter) => {
+  const organization = invitation.organization
+    ? await Organization.findById(invitation.organization).select('name')
+    : null;
+
+  await sendInvitationEmail({
+    email: invitation.email,
+    role: invitation.role,
+    inviterName: `${inviter.firstName} ${inviter.lastName}`,
+    organizationName: organization?.name
+  }, token, INVITATION_TTL_DAYS);
+};
+
+// List invitations (platform admins see all, org owners and admins their organization's)
+router.get('/', [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']),
+  query('organization').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, organization } = req.query;
+
+    const filter = {};
+
+    if (isPlatformInviter(req.user)) {
+      if (organization) filter.organization = organization;
+    } else {
+      if (!req.user.organization || !canManageOrganization(req.user, req.user.organization)) {
+        return denyInvite(res, 'Only admins and organization owners can view invitations');
+      }
+      filter.organization = req.user.organization;
+    }
+
+    if (status === 'expired') {
+      filter.status = 'pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      filter.status = 'pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'username firstName lastName')
+      .populate('organization', 'name slug')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.json({
+      invitations,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invitations',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Invite someone by email with a pre-assigned role
+router.post('/', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
+  body('role').isIn(['customer', 'seller', 'logistics', 'admin']).withMessage('Invalid role'),
+  body('organizationId').optional().isMongoId().withMessage('Invalid organization ID'),
+  body('organizationRole').optional().isIn(ORGANIZATION_ROLES).withMessage('Invalid organization role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+    const platformInviter = isPlatformInviter(req.user);
+
+    // Org owners and admins invite into their own organization unless they name one
+    const organizationId = req.body.organizationId || (platformInviter ? null : req.user.organization);
+    const organizationRole = organizationId ? (req.body.organizationRole || 'member') : null;
+
+    if (!platformInviter) {
+      if (!organizationId || !canManageOrganization(req.user, organizationId)) {
+        return denyInvite(res, 'Only admins and organization owners can send invitations');
+      }
+      if (!ORGANIZATION_INVITE_ROLES.includes(role)) {
+        return denyInvite(res, `Organizations can only invite: ${ORGANIZATION_INVITE_ROLES.join(', ')}`);
+      }
+      if (organizationRole === 'owner' && req.user.organizationRole !== 'owner') {
+        return denyInvite(res, 'Only organization owners can invite other owners');
+      }
+    }
+
+    if (organizationId && !(await Organization.exists({ _id: organizationId, isActive: true }))) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        message: 'No active organization found with the provided ID'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        error: 'User already exists',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const pending = await Invitation.exists({ email, status: 'pending', expiresAt: { $gt: new Date() } });
+    if (pending) {
+      return res.status(409).json({
+        error: 'Invitation already pending',
+        message: 'This email already has a pending invitation. Resend or revoke it instead.'
+      });
+    }
+
+    const invitation = new Invitation({
+      email,
+      role,
+      organization: organizationId,
+      organizationRole,
+      invitedBy: req.user._id
+    });
+    const token = invitation.issueToken(INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await invitation.save();
+
+    await emailInvitation(invitation, token, req.user);
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      target: { type: 'invitation', id: invitation._id },
+      after: { email, role, organization: organizationId, organizationRole }
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Resend an invitation with a fresh link and expiry (the old link stops working)
+router.post('/:invitationId/resend', [
+  param('invitationId').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findById(req.params.invitationId);
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'No pending invitation found with the provided ID'
+      });
+    }
+
+    if (!canManageInvitation(req.user, invitation)) {
+      return denyInvite(res, 'You cannot manage this invitation');
+    }
+
+    const token = invitation.issueToken(INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await invitation.save();
+
+    await emailInvitation(invitation, token, req.user);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to resend invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:invitationId', [
+  param('invitationId').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findById(req.params.invitationId);
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'No pending invitation found with the provided ID'
+      });
+    }
+
+    if (!canManageInvitation(req.user, invitation)) {
+      return denyInvite(res, 'You cannot manage this invitation');
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedBy = req.user._id;
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      target: { type: 'invitation', id: invitation._id },
+      before: { status: 'pending' },
+      after: { status: 'revoked' }
+    });
+
+    res.json({
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
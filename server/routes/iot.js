@@ -1,19 +1,34 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import * as iotService from '../services/iot.js';
+import Device from '../models/Device.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { isCrossOrg, effectiveOrganization, visibleDeviceIds } from '../services/tenancy.js';
 
 const router = express.Router();
 
+// `deviceIds` is null for callers with the cross-org view
+const canSeeDevice = (deviceIds, deviceId) => !deviceIds || deviceIds.has(deviceId);
+
 // --- Live IoT Event Stream ---
 
 // Provides a real-time stream of IoT events (telemetry, status) to the client.
-router.get('/events', (req, res) => {
+router.get('/events', async (req, res) => {
+    let deviceIds;
+    try {
+        deviceIds = await visibleDeviceIds(req);
+    } catch (error) {
+        console.error('Error resolving visible devices:', error);
+        return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.flushHeaders();
 
     const sendEvent = (type, data) => {
+        if (!canSeeDevice(deviceIds, data.deviceId || data.readerId)) return;
         res.write(`event: ${type}\n`);
         res.write(`data: ${JSON.stringify(data)}\n\n`);
     };
@@ -21,15 +36,18 @@ router.get('/events', (req, res) => {
     const telemetryListener = (data) => sendEvent('telemetry', data);
     const statusListener = (data) => sendEvent('status', data);
     const nfcListener = (data) => sendEvent('nfc_scan', data);
+    const complianceListener = (data) => sendEvent('compliance_violation', data);
 
     iotService.iotEvents.on('telemetry', telemetryListener);
     iotService.iotEvents.on('status', statusListener);
     iotService.iotEvents.on('nfc_scan', nfcListener);
+    iotService.iotEvents.on('compliance_violation', complianceListener);
 
     req.on('close', () => {
         iotService.iotEvents.removeListener('telemetry', telemetryListener);
         iotService.iotEvents.removeListener('status', statusListener);
         iotService.iotEvents.removeListener('nfc_scan', nfcListener);
+        iotService.iotEvents.removeListener('compliance_violation', complianceListener);
         res.end();
     });
 });
@@ -38,9 +56,9 @@ router.get('/events', (req, res) => {
 // --- Device Information Endpoints ---
 
 // Get a list of all connected IoT devices
-router.get('/devices', (req, res) => {
+router.get('/devices', async (req, res) => {
     try {
-        const devices = iotService.getAllDevices();
+        const devices = iotService.getAllDevices(await visibleDeviceIds(req));
         res.json(devices);
     } catch (error) {
         console.error('Error getting all devices:', error);
@@ -51,7 +69,7 @@ router.get('/devices', (req, res) => {
 // Get the status of a specific device
 router.get('/devices/:deviceId', [
     param('deviceId').notEmpty().withMessage('Device ID cannot be empty.')
-], (req, res) => {
+], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -59,7 +77,8 @@ router.get('/devices/:deviceId', [
     
     try {
         const { deviceId } = req.params;
-        const device = iotService.getDeviceStatus(deviceId);
+        const deviceIds = await visibleDeviceIds(req);
+        const device = canSeeDevice(deviceIds, deviceId) && iotService.getDeviceStatus(deviceId);
 
         if (device) {
             res.json(device);
@@ -75,7 +94,7 @@ router.get('/devices/:deviceId', [
 // Get recent sensor history for a device
 router.get('/devices/:deviceId/history', [
     param('deviceId').notEmpty().withMessage('Device ID cannot be empty.')
-], (req, res) => {
+], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -83,6 +102,9 @@ router.get('/devices/:deviceId/history', [
 
     try {
         const { deviceId } = req.params;
+        if (!canSeeDevice(await visibleDeviceIds(req), deviceId)) {
+            return res.status(404).json({ error: `Device with ID ${deviceId} not found.` });
+        }
         const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
         const history = iotService.getSensorHistory(deviceId, limit);
         res.json(history);
@@ -93,12 +115,53 @@ router.get('/devices/:deviceId/history', [
 });
 
 
+// Register a device to an organization
+router.post('/devices', requirePermission('iot:command'), [
+    body('deviceId').trim().notEmpty().withMessage('Device ID is required.'),
+    body('name').optional().isString(),
+    body('facility').optional().isString(),
+    body('organization').optional().isMongoId().withMessage('Invalid organization ID.')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { deviceId, name, facility } = req.body;
+        // Only cross-org callers may register devices for another organization
+        const organization = isCrossOrg(req)
+            ? (req.body.organization || null)
+            : effectiveOrganization(req);
+        if (!organization && !isCrossOrg(req)) {
+            return res.status(403).json({ error: 'Only organization members can register devices.' });
+        }
+
+        const existing = await Device.findOne({ deviceId });
+        if (existing && !canSeeDevice(await visibleDeviceIds(req), deviceId)) {
+            return res.status(409).json({ error: `Device ${deviceId} is registered to another organization.` });
+        }
+
+        const device = await Device.findOneAndUpdate(
+            { deviceId },
+            { name, facility, organization, registeredBy: req.user._id },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(existing ? 200 : 201).json(device);
+    } catch (error) {
+        console.error('Error registering device:', error);
+        res.status(500).json({ error: 'Failed to register device' });
+    }
+});
+
+
 // --- Network and Command Endpoints ---
 
 // Get overall IoT network health
-router.get('/network-health', (req, res) => {
+router.get('/network-health', async (req, res) => {
     try {
-        const health = iotService.getNetworkHealth();
+        const health = iotService.getNetworkHealth(await visibleDeviceIds(req));
         res.json(health);
     } catch (error) {
         console.error('Error getting IoT network health:', error);
@@ -107,11 +170,11 @@ router.get('/network-health', (req, res) => {
 });
 
 // Send a command to a device
-router.post('/devices/:deviceId/command', [
+router.post('/devices/:deviceId/command', requirePermission('iot:command'), [
     param('deviceId').notEmpty().withMessage('Device ID is required.'),
     body('command').isString().withMessage('Command must be a string.'),
     body('payload').isObject().withMessage('Payload must be an object.')
-], (req, res) => {
+], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -119,6 +182,9 @@ router.post('/devices/:deviceId/command', [
     
     try {
         const { deviceId } = req.params;
+        if (!canSeeDevice(await visibleDeviceIds(req), deviceId)) {
+            return res.status(404).json({ error: `Device with ID ${deviceId} not found.` });
+        }
         const { command, payload } = req.body;
         iotService.sendCommandToDevice(deviceId, command, payload);
         res.status(202).json({ message: `Command '${command}' sent to device ${deviceId}.` });
@@ -0,0 +1,187 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_EVENTS } from '../models/Notification.js';
+import PushSubscription from '../models/PushSubscription.js';
+import { forbidImpersonation } from '../middleware/auth.js';
+import { getVapidPublicKey } from '../services/notifications.js';
+
+const router = express.Router();
+
+// Get the current user's notification history
+router.get('/', [
+  query('event').optional().isIn(NOTIFICATION_EVENTS),
+  query('unread').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, event, unread } = req.query;
+
+    const filter = { user: req.user._id };
+    if (event) filter.event = event;
+    if (unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .select('-data -content.email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Notification.countDocuments(filter);
+
+    res.json({
+      notifications,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notifications',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:notificationId/read', [
+  param('notificationId').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ).select('-data -content.email');
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'No notification found with the provided ID'
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the VAPID public key browsers need to subscribe to Web Push
+router.get('/push/public-key', (req, res) => {
+  const publicKey = getVapidPublicKey();
+
+  if (!publicKey) {
+    return res.status(503).json({
+      error: 'Push notifications unavailable',
+      message: 'Web Push is not configured on this server'
+    });
+  }
+
+  res.json({ publicKey });
+});
+
+// Register this browser for push notifications
+router.post('/push/subscriptions', forbidImpersonation, [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('A valid HTTPS endpoint is required'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A browser re-subscribing (or switching accounts) keeps a single record
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user._id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('User-Agent')
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      message: 'Push subscription saved',
+      subscription: {
+        id: subscription._id,
+        endpoint: subscription.endpoint,
+        createdAt: subscription.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to save push subscription',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove this browser's push subscription
+router.delete('/push/subscriptions', [
+  body('endpoint').isString().notEmpty().withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user._id });
+
+    res.json({
+      message: 'Push subscription removed'
+    });
+
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to remove push subscription',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
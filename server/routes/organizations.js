@@ -0,0 +1,521 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import User from '../models/User.js';
+import { requirePermission, hasPermission } from '../middleware/authorize.js';
+import { canManageOrganization } from '../services/tenancy.js';
+import { recordAudit } from '../services/audit.js';
+import { containsText } from '../services/search.js';
+
+const router = express.Router();
+
+const isMember = (user, organizationId) => !!user.organization?.equals(organizationId);
+
+const canViewOrganization = (user, organizationId) => isMember(user, organizationId)
+  || hasPermission(user, 'organization:all')
+  || hasPermission(user, 'organization:manage');
+
+// Only owners (or platform admins) may hand out or take away ownership
+const canAssignRole = (user, role) => role !== 'owner'
+  || hasPermission(user, 'organization:manage')
+  || user.organizationRole === 'owner';
+
+// Loads the organization named in the URL, answering 404 if it doesn't exist
+const loadOrganization = async (req, res) => {
+  const organization = await Organization.findById(req.params.orgId);
+  if (!organization) {
+    res.status(404).json({
+      error: 'Organization not found',
+      message: 'No organization found with the provided ID'
+    });
+  }
+  return organization;
+};
+
+const denyManage = (res) => res.status(403).json({
+  error: 'Insufficient permissions',
+  message: 'Only organization owners and admins can do this'
+});
+
+// Editable fields, as recorded in the audit log
+const auditSnapshot = (organization) => {
+  const { name, contact, location, isActive } = organization.toObject();
+  return { name, contact, location, isActive };
+};
+
+// An organization must always keep at least one owner
+const isLastOwner = async (organizationId, userId) => {
+  const owners = await User.find({ organization: organizationId, organizationRole: 'owner', isActive: true })
+    .select('_id');
+  return owners.length === 1 && owners[0]._id.equals(userId);
+};
+
+// List organizations (platform admins see all, everyone else their own)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, search } = req.query;
+
+    const query = { isActive: true };
+
+    if (!hasPermission(req.user, 'organization:all') && !hasPermission(req.user, 'organization:manage')) {
+      query._id = req.user.organization || null;
+    }
+    if (type) query.type = type;
+    if (search) {
+      query.$or = [
+        { name: containsText(search) },
+        { slug: containsText(search) }
+      ];
+    }
+
+    const organizations = await Organization.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Organization.countDocuments(query);
+
+    res.json({
+      organizations,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch organizations',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create organization
+router.post('/', requirePermission('organization:manage'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+  body('slug').trim().matches(/^[a-z0-9-]+$/).withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+  body('type').isIn(['seller', 'logistics', 'manufacturer']).withMessage('Invalid organization type'),
+  body('contact').optional().isObject(),
+  body('location').optional().isObject(),
+  body('ownerId').optional().isMongoId().withMessage('Invalid owner ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, slug, type, contact, location, ownerId } = req.body;
+
+    const existing = await Organization.findOne({ slug });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Organization already exists',
+        message: 'An organization with this slug already exists'
+      });
+    }
+
+    let owner = null;
+    if (ownerId) {
+      owner = await User.findOne({ _id: ownerId, isActive: true });
+      if (!owner) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'No active user found with the provided owner ID'
+        });
+      }
+      if (owner.organization) {
+        return res.status(409).json({
+          error: 'User already in an organization',
+          message: 'The owner must leave their current organization first'
+        });
+      }
+    }
+
+    const organization = new Organization({
+      name,
+      slug,
+      type,
+      contact,
+      location,
+      createdBy: req.user._id
+    });
+    await organization.save();
+
+    if (owner) {
+      owner.organization = organization._id;
+      owner.organizationRole = 'owner';
+      await owner.save();
+    }
+
+    await recordAudit(req, {
+      action: 'organization.create',
+      target: { type: 'organization', id: organization._id },
+      after: { name, slug, type },
+      metadata: { ownerId: owner?._id || null }
+    });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      error: 'Failed to create organization',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get organization by ID
+router.get('/:orgId', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!canViewOrganization(req.user, req.params.orgId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You are not a member of this organization'
+      });
+    }
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    res.json({ organization });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch organization',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update organization
+router.put('/:orgId', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('contact').optional().isObject(),
+  body('location').optional().isObject(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!canManageOrganization(req.user, req.params.orgId)) {
+      return denyManage(res);
+    }
+
+    const { name, contact, location, isActive } = req.body;
+
+    // Deactivating an organization is reserved for platform admins
+    if (isActive !== undefined && !hasPermission(req.user, 'organization:manage')) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Required permission: organization:manage'
+      });
+    }
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (contact) updateData.contact = contact;
+    if (location) updateData.location = location;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const before = auditSnapshot(organization);
+
+    organization.set(updateData);
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.update',
+      target: { type: 'organization', id: organization._id },
+      before,
+      after: auditSnapshot(organization)
+    });
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      error: 'Failed to update organization',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List organization members
+router.get('/:orgId/members', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!canViewOrganization(req.user, req.params.orgId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You are not a member of this organization'
+      });
+    }
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const members = await Organization.getMembers(organization._id);
+
+    res.json({
+      members,
+      count: members.length
+    });
+
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch organization members',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a member to an organization
+router.post('/:orgId/members', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID'),
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('organizationRole').optional().isIn(ORGANIZATION_ROLES).withMessage('Invalid organization role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, organizationRole = 'member' } = req.body;
+
+    if (!canManageOrganization(req.user, req.params.orgId) || !canAssignRole(req.user, organizationRole)) {
+      return denyManage(res);
+    }
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No active user found with the provided ID'
+      });
+    }
+
+    if (user.organization && !user.organization.equals(organization._id)) {
+      return res.status(409).json({
+        error: 'User already in an organization',
+        message: 'The user must leave their current organization first'
+      });
+    }
+
+    user.organization = organization._id;
+    user.organizationRole = organizationRole;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_add',
+      target: { type: 'organization', id: organization._id },
+      after: { userId: user._id, organizationRole }
+    });
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        organizationRole: user.organizationRole
+      }
+    });
+
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      error: 'Failed to add organization member',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change a member's organization role
+router.patch('/:orgId/members/:userId', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('organizationRole').isIn(ORGANIZATION_ROLES).withMessage('Invalid organization role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { orgId, userId } = req.params;
+    const { organizationRole } = req.body;
+
+    if (!canManageOrganization(req.user, orgId) || !canAssignRole(req.user, organizationRole)) {
+      return denyManage(res);
+    }
+
+    const user = await User.findOne({ _id: userId, organization: orgId });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'The user is not a member of this organization'
+      });
+    }
+
+    if (user.organizationRole === 'owner' && !canAssignRole(req.user, 'owner')) {
+      return denyManage(res);
+    }
+
+    if (organizationRole !== 'owner' && await isLastOwner(orgId, user._id)) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    const previousRole = user.organizationRole;
+    user.organizationRole = organizationRole;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_update',
+      target: { type: 'organization', id: orgId },
+      before: { userId, organizationRole: previousRole },
+      after: { userId, organizationRole }
+    });
+
+    res.json({
+      message: 'Member updated successfully',
+      member: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        organizationRole: user.organizationRole
+      }
+    });
+
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      error: 'Failed to update organization member',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a member from an organization
+router.delete('/:orgId/members/:userId', [
+  param('orgId').isMongoId().withMessage('Invalid organization ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { orgId, userId } = req.params;
+
+    if (!canManageOrganization(req.user, orgId)) {
+      return denyManage(res);
+    }
+
+    const user = await User.findOne({ _id: userId, organization: orgId });
+    if (!user) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'The user is not a member of this organization'
+      });
+    }
+
+    if (user.organizationRole === 'owner' && !canAssignRole(req.user, 'owner')) {
+      return denyManage(res);
+    }
+
+    if (await isLastOwner(orgId, user._id)) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    const previousRole = user.organizationRole;
+    user.organization = null;
+    user.organizationRole = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_remove',
+      target: { type: 'organization', id: orgId },
+      before: { userId, organizationRole: previousRole }
+    });
+
+    res.json({
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove organization member',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
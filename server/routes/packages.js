@@ -1,59 +1,331 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Package from '../models/Package.js';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { body, query, validationResult } from 'express-validator';
+import Package, { PACKAGE_STATUSES, RETURNABLE_STATUSES, StatusTransitionError, canTransition } from '../models/Package.js';
 import User from '../models/User.js';
-import { requireRole } from '../middleware/auth.js';
+import ReturnAssessment from '../models/ReturnAssessment.js';
+import { requireVerified, forbidImpersonation } from '../middleware/auth.js';
+import { requirePermission, enforceFacilityScope, denyFacilityScope, hasPermission } from '../middleware/authorize.js';
+import {
+  isCrossOrg,
+  effectiveOrganization,
+  packageScope,
+  scopePackageQuery
+} from '../services/tenancy.js';
+import { recordAudit } from '../services/audit.js';
+import { notifyDelivered } from '../services/notifications.js';
+import { estimateDelivery, updateEta } from '../services/eta.js';
+import { parseImport, importPackages, ImportFormatError } from '../services/packageImport.js';
+import { assessReturn, creditReturn } from '../services/fraud.js';
+import { resolveLocation, isOutsideFacilityScope, hasCoordinates, RETURN_GEOFENCE_MODE } from '../services/facilities.js';
+import {
+  getLabelSize,
+  renderLabelSvg,
+  renderLabelPng,
+  writeLabelPdf,
+  writeLabelArchive,
+  DEFAULT_LABEL_DPI,
+  MAX_LABEL_BATCH
+} from '../services/labels.js';
+import { LABEL_TEMPLATES, MIN_LABEL_MM, MAX_LABEL_MM } from '../config/labelTemplates.js';
+import { HANDLING_PROFILES, validateLimits } from '../config/handlingProfiles.js';
+import { buildComplianceReport } from '../services/compliance.js';
+import TrackingLink from '../models/TrackingLink.js';
+import { issueTrackingLink, linkCycle, TRACKING_LINK_TTL_DAYS, TRACKING_LINK_MAX_DAYS } from '../services/trackingLinks.js';
+import {
+  buildSearchPipeline,
+  encodeCursor,
+  decodeCursor,
+  CursorError,
+  SORT_FIELDS,
+  DATE_FIELDS,
+  SELECTABLE_FIELDS,
+  MAX_PAGE_SIZE
+} from '../services/packageSearch.js';
 
 const router = express.Router();
 
-// Get all packages (with pagination and filters)
-router.get('/', async (req, res) => {
+// Bulk import files are read into memory and parsed in one go
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
+
+// Work out whether an import is CSV or JSON from the query, the upload or the request body
+const importFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  if (req.file) {
+    return req.file.mimetype === 'application/json' || req.file.originalname?.toLowerCase().endsWith('.json')
+      ? 'json'
+      : 'csv';
+  }
+  return req.is('text/csv') ? 'csv' : 'json';
+};
+
+const LABEL_CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  pdf: 'application/pdf'
+};
+
+// What a label prints
+const LABEL_FIELDS = 'packageId rfidTag type material sustainability';
+
+// Format, size and resolution options shared by the label endpoints (`field` is query or body)
+const labelRules = (field) => [
+  field('format').optional().isIn(Object.keys(LABEL_CONTENT_TYPES)).withMessage('Format must be svg, png or pdf'),
+  field('size').optional().isIn(Object.keys(LABEL_TEMPLATES))
+    .withMessage(`Size must be one of: ${Object.keys(LABEL_TEMPLATES).join(', ')}`),
+  field('width').optional().isFloat({ min: MIN_LABEL_MM, max: MAX_LABEL_MM })
+    .withMessage(`width must be ${MIN_LABEL_MM}-${MAX_LABEL_MM} mm`).toFloat(),
+  field('height').if(field('width').exists()).isFloat({ min: MIN_LABEL_MM, max: MAX_LABEL_MM })
+    .withMessage(`A height of ${MIN_LABEL_MM}-${MAX_LABEL_MM} mm is required with width`).toFloat(),
+  field('dpi').optional().isInt({ min: 72, max: 600 }).withMessage('dpi must be 72-600').toInt()
+];
+
+// Sellers own the packages they ship, or that their organization owns
+const isPackageSeller = (user, packageData) => !!packageData.delivery?.sellerId?.equals(user._id)
+  || (!!user.organization && !!packageData.organization?.equals(user.organization));
+
+const ownPackageById = {
+  resolve: (req) => Package.findOne({ packageId: req.params.packageId.toUpperCase(), isActive: true })
+    .select('delivery.sellerId organization'),
+  owns: isPackageSeller
+};
+
+const ownPackageByTag = {
+  resolve: (req) => Package.findOne({
+    $or: [
+      { rfidTag: String(req.body.tagId || '').toUpperCase() },
+      { nfcTag: req.body.tagId }
+    ],
+    isActive: true
+  }).select('delivery.sellerId organization'),
+  owns: isPackageSeller
+};
+
+// Organizations whose own facilities a package's scans and returns may resolve to
+const facilityOwners = (packageData) => [packageData.organization, packageData.delivery?.logisticsOrganization];
+
+const handlingLimitsValidator = (limits) => {
+  const problems = validateLimits(limits);
+  if (problems.length > 0) throw new Error(`Invalid handling limits: ${problems.join('; ')}`);
+  return true;
+};
+
+// Build an unsaved package from create fields (shared by single create and bulk import)
+const buildPackage = (req, {
+  packageId,
+  rfidTag,
+  nfcTag,
+  type,
+  material,
+  size,
+  sustainability,
+  manufacturer,
+  tags,
+  handling,
+  organization,
+  logisticsOrganization
+}) => {
+  const currentLocation = {
+    type: 'Point',
+    coordinates: [0, 0],
+    facility: 'Manufacturing Facility',
+    city: 'Unknown',
+    state: 'Unknown'
+  };
+
+  return new Package({
+    packageId: packageId.toUpperCase(),
+    rfidTag: rfidTag.toUpperCase(),
+    nfcTag,
+    type,
+    material,
+    size,
+    sustainability: {
+      recyclable: true,
+      biodegradable: false,
+      carbonFootprint: 0,
+      plasticContent: 0,
+      recycledContent: 0,
+      ...sustainability
+    },
+    manufacturer,
+    tags,
+    handling,
+    // Cross-org admins may create on behalf of any organization; everyone else creates for their own
+    organization: isCrossOrg(req) ? (organization || null) : effectiveOrganization(req),
+    delivery: {
+      logisticsOrganization: logisticsOrganization || null,
+      // A seller creating a package becomes its owner
+      ...(req.user.role === 'seller' && { sellerId: req.user._id })
+    },
+    currentLocation,
+    // Seeded here rather than by the save hook, since bulk import inserts without save middleware
+    trackingHistory: [{ status: 'manufactured', location: currentLocation, timestamp: new Date() }]
+  });
+};
+
+// Get all packages
+router.get('/', [
+  query(['search', 'q']).optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('search must be 1-200 characters'),
+  query('status').optional().isIn(PACKAGE_STATUSES),
+  query('type').optional().isIn(Package.schema.path('type').enumValues),
+  query('compliance').optional().isIn(['unmonitored', 'compliant', 'non_compliant']),
+  query('facility').optional().isString().trim().notEmpty(),
+  query('seller').optional().isMongoId().withMessage('Invalid seller ID'),
+  query('dateField').optional().isIn(DATE_FIELDS),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('minScore').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  query('maxScore').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  query('sortBy').optional().isIn(Object.keys(SORT_FIELDS)),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('fields').optional().isString().custom(value => value.split(',').every(field => SELECTABLE_FIELDS.includes(field.trim())))
+    .withMessage(`fields must be a comma-separated list of: ${SELECTABLE_FIELDS.join(', ')}`),
+  query('cursor').optional().isString(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+], async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      status, 
-      type, 
-      search,
-      sortBy = 'createdAt',
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      page,
+      limit = 20,
+      status,
+      type,
+      compliance,
+      facility,
+      seller,
+      dateField = 'createdAt',
+      from,
+      to,
+      minScore,
+      maxScore,
+      cursor,
       sortOrder = 'desc'
     } = req.query;
+    const search = req.query.search || req.query.q;
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
+
+    if (sortBy === 'relevance' && !search) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        message: 'Sorting by relevance requires a search term'
+      });
+    }
+
+    if (cursor && page) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        message: 'Use either cursor or page, not both'
+      });
+    }
+
+    let after = null;
+    if (cursor) {
+      try {
+        after = decodeCursor(cursor, sortBy, sortOrder);
+      } catch (error) {
+        if (error instanceof CursorError) {
+          return res.status(400).json({ error: 'Invalid cursor', message: error.message });
+        }
+        throw error;
+      }
+    }
 
+    // Aggregation doesn't cast, so IDs and dates are converted here
     const query = { isActive: true };
-    
+
     // Apply filters
     if (status) query.status = status;
     if (type) query.type = type;
-    if (search) {
-      query.$or = [
-        { packageId: { $regex: search, $options: 'i' } },
-        { rfidTag: { $regex: search, $options: 'i' } },
-        { 'currentLocation.facility': { $regex: search, $options: 'i' } }
-      ];
+    if (compliance) query['compliance.status'] = compliance;
+    if (facility) {
+      if (mongoose.isValidObjectId(facility)) {
+        query['currentLocation.facilityId'] = new mongoose.Types.ObjectId(facility);
+      } else {
+        query['currentLocation.facility'] = facility;
+      }
+    }
+    if (seller) query['delivery.sellerId'] = new mongoose.Types.ObjectId(seller);
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      query[SORT_FIELDS[dateField]] = range;
+    }
+    if (minScore !== undefined || maxScore !== undefined) {
+      query.environmentalScore = {};
+      if (minScore !== undefined) query.environmentalScore.$gte = minScore;
+      if (maxScore !== undefined) query.environmentalScore.$lte = maxScore;
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const fields = req.query.fields
+      ? req.query.fields.split(',').map(field => field.trim())
+      : null;
 
-    const packages = await Package.find(query)
-      .populate('delivery.customerId', 'username firstName lastName')
-      .populate('return.returnedBy', 'username firstName lastName')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    // Only packages the caller's organization owns or delivers
+    const filter = scopePackageQuery(req, query);
+    const skip = page ? (page - 1) * limit : 0;
 
-    const total = await Package.countDocuments(query);
+    const rows = await Package.aggregate(buildSearchPipeline({
+      filter, search, sortBy, sortOrder, after, skip, limit, fields
+    }));
 
-    res.json({
-      packages,
-      pagination: {
-        currentPage: page * 1,
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor(sortBy, sortOrder, pageRows[pageRows.length - 1]) : null;
+
+    let packages;
+    if (fields) {
+      // Plain rows with just the requested fields; the sort field was only kept for the cursor
+      const keep = new Set(['_id', 'packageId', 'score', ...fields]);
+      packages = pageRows.map(row => Object.fromEntries(Object.entries(row).filter(([key]) => keep.has(key))));
+    } else {
+      // Full rows are hydrated so they keep their virtuals and JSON shape
+      packages = pageRows.map(row => Package.hydrate(row));
+    }
+
+    const populate = [];
+    if (!fields || fields.includes('delivery')) populate.push({ path: 'delivery.customerId', select: 'username firstName lastName' });
+    if (!fields || fields.includes('return')) populate.push({ path: 'return.returnedBy', select: 'username firstName lastName' });
+    if (populate.length > 0) await Package.populate(packages, populate);
+
+    // Hydrating drops the text score, so it is put back on search results
+    if (search && !fields) {
+      packages = packages.map((packageData, index) => ({ ...packageData.toJSON(), score: pageRows[index].score }));
+    }
+
+    const pagination = {
+      limit,
+      sortBy,
+      sortOrder: sortBy === 'relevance' ? 'desc' : sortOrder,
+      hasMore,
+      nextCursor
+    };
+
+    // Deprecated page-number mode keeps its totals
+    if (page) {
+      const total = await Package.countDocuments(search ? { $text: { $search: search }, ...filter } : filter);
+      Object.assign(pagination, {
+        currentPage: page,
         totalPages: Math.ceil(total / limit),
         totalItems: total,
-        itemsPerPage: limit * 1
-      }
-    });
+        itemsPerPage: limit
+      });
+    }
+
+    res.json({ packages, pagination });
 
   } catch (error) {
     console.error('Get packages error:', error);
@@ -64,22 +336,35 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Fields shown to org-less users looking up a package outside their own scope
+const LOOKUP_FIELDS = 'packageId type material size sustainability environmentalScore status manufacturer.name';
+
 // Get package by ID
 router.get('/:packageId', async (req, res) => {
   try {
     const { packageId } = req.params;
-
-    const packageData = await Package.findOne({ 
+    const lookup = {
       $or: [
         { packageId: packageId.toUpperCase() },
         { rfidTag: packageId.toUpperCase() },
         { nfcTag: packageId }
       ],
       isActive: true
-    })
-    .populate('delivery.customerId', 'username firstName lastName email')
-    .populate('return.returnedBy', 'username firstName lastName')
-    .populate('trackingHistory.scannedBy', 'username firstName lastName');
+    };
+
+    let packageData = await Package.findOne(scopePackageQuery(req, lookup))
+      .populate('delivery.customerId', 'username firstName lastName email')
+      .populate('return.returnedBy', 'username firstName lastName')
+      .populate('trackingHistory.scannedBy', 'username firstName lastName');
+    let limited = false;
+
+    // Users without an org may still identify any package, e.g. a customer scanning a box
+    // they are about to return, but only see what is printed on it
+    if (!packageData && !effectiveOrganization(req) && !isCrossOrg(req)) {
+      packageData = await Package.findOne(scopePackageQuery(req, lookup, { allowLookup: true }))
+        .select(LOOKUP_FIELDS);
+      limited = !!packageData;
+    }
 
     if (!packageData) {
       return res.status(404).json({
@@ -88,7 +373,7 @@ router.get('/:packageId', async (req, res) => {
       });
     }
 
-    res.json({ package: packageData });
+    res.json({ package: packageData, ...(limited && { limited }) });
 
   } catch (error) {
     console.error('Get package error:', error);
@@ -99,15 +384,20 @@ router.get('/:packageId', async (req, res) => {
   }
 });
 
-// Create new package (admin/seller only)
-router.post('/', requireRole(['admin', 'seller']), [
+// Create new package
+router.post('/', requirePermission('package:create'), [
   body('packageId').isLength({ min: 1 }).withMessage('Package ID is required'),
   body('rfidTag').isLength({ min: 1 }).withMessage('RFID tag is required'),
   body('type').isIn(['cardboard', 'plastic', 'paper', 'fabric', 'composite']).withMessage('Invalid package type'),
   body('material').isLength({ min: 1 }).withMessage('Material is required'),
   body('size').optional().isObject(),
   body('sustainability').optional().isObject(),
-  body('manufacturer').optional().isObject()
+  body('manufacturer').optional().isObject(),
+  body('handling.profile').optional().isIn(Object.keys(HANDLING_PROFILES))
+    .withMessage(`Handling profile must be one of: ${Object.keys(HANDLING_PROFILES).join(', ')}`),
+  body('handling.limits').optional().custom(handlingLimitsValidator),
+  body('organization').optional().isMongoId(),
+  body('logisticsOrganization').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -118,17 +408,7 @@ router.post('/', requireRole(['admin', 'seller']), [
       });
     }
 
-    const {
-      packageId,
-      rfidTag,
-      nfcTag,
-      type,
-      material,
-      size,
-      sustainability,
-      manufacturer,
-      tags
-    } = req.body;
+    const { packageId, rfidTag, nfcTag } = req.body;
 
     // Check if package already exists
     const existingPackage = await Package.findOne({
@@ -147,31 +427,7 @@ router.post('/', requireRole(['admin', 'seller']), [
     }
 
     // Create new package
-    const newPackage = new Package({
-      packageId: packageId.toUpperCase(),
-      rfidTag: rfidTag.toUpperCase(),
-      nfcTag,
-      type,
-      material,
-      size,
-      sustainability: {
-        recyclable: true,
-        biodegradable: false,
-        carbonFootprint: 0,
-        plasticContent: 0,
-        recycledContent: 0,
-        ...sustainability
-      },
-      manufacturer,
-      tags,
-      currentLocation: {
-        type: 'Point',
-        coordinates: [0, 0],
-        facility: 'Manufacturing Facility',
-        city: 'Unknown',
-        state: 'Unknown'
-      }
-    });
+    const newPackage = buildPackage(req, req.body);
 
     await newPackage.save();
 
@@ -189,11 +445,132 @@ router.post('/', requireRole(['admin', 'seller']), [
   }
 });
 
+// Bulk import packages from a CSV or JSON file (multipart `file`), a text/csv body or a JSON body.
+// With ?dryRun=true nothing is created and the report shows which rows would succeed.
+router.post('/import', requirePermission('package:create'), importUpload.single('file'), express.text({ type: 'text/csv', limit: '10mb' }), [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const format = importFormat(req);
+
+    let rows;
+    try {
+      rows = parseImport(req.file ? req.file.buffer : req.body, format);
+    } catch (error) {
+      if (error instanceof ImportFormatError) {
+        return res.status(400).json({
+          error: 'Invalid import file',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const report = await importPackages(rows, {
+      build: (row) => buildPackage(req, row),
+      dryRun,
+      // CSV row numbers match what a spreadsheet shows, counting the header
+      firstRowNumber: format === 'csv' ? 2 : 1
+    });
+
+    if (!dryRun && report.created > 0) {
+      await recordAudit(req, {
+        action: 'package.import',
+        target: { type: 'package', id: null },
+        metadata: { format, total: report.total, created: report.created, failed: report.failed }
+      });
+    }
+
+    res.status(!dryRun && report.created > 0 ? 201 : 200).json({
+      message: dryRun
+        ? `Dry run: ${report.valid} of ${report.total} packages are valid`
+        : `Imported ${report.created} of ${report.total} packages`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Import packages error:', error);
+    res.status(500).json({
+      error: 'Failed to import packages',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Print labels for many packages: one multi-page PDF, or a ZIP of SVG/PNG files
+router.post('/labels', [
+  body('packageIds').isArray({ min: 1, max: MAX_LABEL_BATCH }).withMessage(`packageIds must list 1-${MAX_LABEL_BATCH} packages`),
+  body('packageIds.*').isString().trim().notEmpty().withMessage('Invalid package ID'),
+  ...labelRules(body)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { format = 'pdf', dpi = DEFAULT_LABEL_DPI } = req.body;
+    const size = getLabelSize(req.body);
+    const packageIds = [...new Set(req.body.packageIds.map(id => id.toUpperCase()))];
+
+    const found = await Package.find(scopePackageQuery(req, {
+      packageId: { $in: packageIds },
+      isActive: true
+    })).select(LABEL_FIELDS).lean();
+
+    const byId = new Map(found.map(pkg => [pkg.packageId, pkg]));
+    const missing = packageIds.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Packages not found',
+        message: `No package found for ${missing.length} of the requested IDs`,
+        missing
+      });
+    }
+
+    // Print in the order requested
+    const packages = packageIds.map(id => byId.get(id));
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'pdf') {
+      res.type(LABEL_CONTENT_TYPES.pdf);
+      res.attachment(`packchain-labels-${date}.pdf`);
+      return await writeLabelPdf(packages, size, dpi, res);
+    }
+
+    res.attachment(`packchain-labels-${date}.zip`);
+    await writeLabelArchive(packages, { format, size, dpi }, res);
+
+  } catch (error) {
+    console.error('Print labels error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to render labels',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Update package location and status
-router.put('/:packageId/update-location', [
+router.put('/:packageId/update-location', requirePermission('package:update', ownPackageById), enforceFacilityScope, [
   body('location').isObject().withMessage('Location object is required'),
-  body('status').optional().isIn(['manufactured', 'dispatched', 'in_transit', 'delivered', 'returned', 'processing', 'recycled', 'lost']),
-  body('notes').optional().isString()
+  body('status').optional().isIn(PACKAGE_STATUSES),
+  body('notes').optional().isString(),
+  body('override').optional().isBoolean().withMessage('override must be true or false').toBoolean(),
+  body('reason').optional().isString().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -205,12 +582,27 @@ router.put('/:packageId/update-location', [
     }
 
     const { packageId } = req.params;
-    const { location, status, notes } = req.body;
+    const { status, notes, override = false, reason } = req.body;
 
-    const packageData = await Package.findOne({ 
+    if (override) {
+      if (req.apiKey || !hasPermission(req.user, 'package:status_override')) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: 'Access denied. Required permission: package:status_override'
+        });
+      }
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({
+          error: 'Reason required',
+          message: 'Overriding a status transition requires a reason'
+        });
+      }
+    }
+
+    const packageData = await Package.findOne(scopePackageQuery(req, { 
       packageId: packageId.toUpperCase(),
       isActive: true
-    });
+    }));
 
     if (!packageData) {
       return res.status(404).json({
@@ -219,8 +611,40 @@ router.put('/:packageId/update-location', [
       });
     }
 
+    const previousStatus = packageData.status;
+    const scopedFacility = req.apiKey?.scope?.facility;
+    const { location, facility } = await resolveLocation(req.body.location, {
+      organizations: facilityOwners(packageData),
+      facilityCode: scopedFacility
+    });
+    if (isOutsideFacilityScope(scopedFacility, location, facility)) {
+      return denyFacilityScope(res, scopedFacility);
+    }
+
     // Update location and status
-    await packageData.updateLocation(location, status, req.user._id);
+    try {
+      await packageData.updateLocation(location, status, req.user._id, { override, reason: reason?.trim() });
+    } catch (error) {
+      if (error instanceof StatusTransitionError) {
+        return res.status(409).json({
+          error: 'Invalid status transition',
+          message: error.message,
+          currentStatus: error.from,
+          allowedStatuses: error.allowed
+        });
+      }
+      throw error;
+    }
+
+    if (status && !canTransition(previousStatus, status)) {
+      await recordAudit(req, {
+        action: 'package.status_override',
+        target: { type: 'package', id: packageData.packageId },
+        before: { status: previousStatus },
+        after: { status: packageData.status },
+        metadata: { reason: reason.trim() }
+      });
+    }
 
     // Add notes if provided
     if (notes) {
@@ -228,6 +652,9 @@ router.put('/:packageId/update-location', [
       await packageData.save();
     }
 
+    await notifyDelivered(packageData, previousStatus);
+    await updateEta(packageData, previousStatus);
+
     res.json({
       message: 'Package location updated successfully',
       package: packageData
@@ -242,8 +669,8 @@ router.put('/:packageId/update-location', [
   }
 });
 
-// Process package return
-router.post('/:packageId/return', [
+// Process package return (verified accounts only, since it awards tokens)
+router.post('/:packageId/return', requirePermission('package:return'), requireVerified, forbidImpersonation, [
   body('location').isObject().withMessage('Return location is required'),
   body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor', 'damaged']).withMessage('Invalid condition')
 ], async (req, res) => {
@@ -257,12 +684,12 @@ router.post('/:packageId/return', [
     }
 
     const { packageId } = req.params;
-    const { location, condition = 'good' } = req.body;
+    const { condition = 'good' } = req.body;
 
-    const packageData = await Package.findOne({ 
+    const packageData = await Package.findOne(scopePackageQuery(req, { 
       packageId: packageId.toUpperCase(),
       isActive: true
-    });
+    }, { allowLookup: true }));
 
     if (!packageData) {
       return res.status(404).json({
@@ -274,27 +701,85 @@ router.post('/:packageId/return', [
     if (packageData.status === 'returned') {
       return res.status(400).json({
         error: 'Package already returned',
-        message: 'This package has already been returned'
+        message: 'This package has already been returned for its current cycle'
+      });
+    }
+
+    if (!RETURNABLE_STATUSES.includes(packageData.status)) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: `A ${packageData.status} package cannot be returned until it has been delivered`,
+        currentStatus: packageData.status
+      });
+    }
+
+    const { location, facility: dropPoint } = await resolveLocation(req.body.location, {
+      types: ['drop_point'],
+      organizations: facilityOwners(packageData)
+    });
+
+    if (!dropPoint && RETURN_GEOFENCE_MODE === 'reject') {
+      return res.status(400).json({
+        error: 'Outside drop point',
+        message: 'Packages can only be returned at a registered drop point'
       });
     }
 
+    const user = await User.findById(req.user._id);
+    const client = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      deviceId: req.get('X-Device-Id')
+    };
+
+    // Score the return before it changes the package's history
+    const { score, signals, held } = await assessReturn({ packageData, user, location, dropPoint, client });
+
     // Process return
     await packageData.processReturn(req.user._id, location, condition);
 
+    const assessment = await ReturnAssessment.create({
+      package: packageData._id,
+      packageId: packageData.packageId,
+      cycle: packageData.reuseCycles[packageData.reuseCycles.length - 1].cycle,
+      user: user._id,
+      ...client,
+      location: hasCoordinates(location?.coordinates) ? { type: 'Point', coordinates: location.coordinates } : undefined,
+      dropPoint: dropPoint?._id,
+      score,
+      signals,
+      status: held ? 'pending_review' : 'clear',
+      tokens: packageData.return.tokensAwarded,
+      carbonSaved: packageData.return.carbonSaved,
+      plasticReduced: packageData.return.plasticReduced
+    });
+
+    const returnDetails = {
+      package: packageData,
+      carbonSaved: packageData.return.carbonSaved,
+      plasticReduced: packageData.return.plasticReduced,
+      cycle: assessment.cycle,
+      dropPoint: dropPoint ? { id: dropPoint._id, code: dropPoint.code, name: dropPoint.name } : null
+    };
+
+    // Suspicious returns still go through, but their tokens wait for a reviewer
+    if (held) {
+      return res.status(202).json({
+        message: 'Package returned; tokens are on hold pending review',
+        ...returnDetails,
+        tokensAwarded: 0,
+        tokensPending: assessment.tokens,
+        review: { id: assessment._id, status: assessment.status }
+      });
+    }
+
     // Award tokens to user
-    const user = await User.findById(req.user._id);
-    await user.addPackageReturn(
-      packageData.return.carbonSaved,
-      packageData.return.plasticReduced
-    );
-    await user.addTokens(packageData.return.tokensAwarded, 'Package return');
+    await creditReturn(assessment);
 
     res.json({
       message: 'Package returned successfully',
-      package: packageData,
-      tokensAwarded: packageData.return.tokensAwarded,
-      carbonSaved: packageData.return.carbonSaved,
-      plasticReduced: packageData.return.plasticReduced
+      ...returnDetails,
+      tokensAwarded: assessment.tokens
     });
 
   } catch (error) {
@@ -306,8 +791,468 @@ router.post('/:packageId/return', [
   }
 });
 
+// Send a returned or processed package out on its next reuse cycle
+router.post('/:packageId/redispatch', requirePermission('package:update', ownPackageById), enforceFacilityScope, [
+  body('location').optional().isObject(),
+  body('customerId').optional().isMongoId().withMessage('Invalid customer ID'),
+  body('orderId').optional().isString(),
+  body('deliveryAddress').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { customerId, orderId, deliveryAddress } = req.body;
+
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }));
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    const previousStatus = packageData.status;
+    const scopedFacility = req.apiKey?.scope?.facility;
+    const { location, facility } = await resolveLocation(req.body.location, {
+      organizations: facilityOwners(packageData),
+      facilityCode: scopedFacility
+    });
+    if (isOutsideFacilityScope(scopedFacility, location, facility)) {
+      return denyFacilityScope(res, scopedFacility);
+    }
+
+    try {
+      await packageData.redispatch({ customerId, orderId, deliveryAddress }, location, req.user._id);
+    } catch (error) {
+      if (error instanceof StatusTransitionError) {
+        return res.status(409).json({
+          error: 'Invalid status transition',
+          message: 'Only returned or processed packages can be redispatched',
+          currentStatus: error.from
+        });
+      }
+      throw error;
+    }
+
+    await updateEta(packageData, previousStatus);
+
+    res.json({
+      message: 'Package redispatched successfully',
+      cycle: packageData.currentCycle.cycle,
+      package: packageData
+    });
+
+  } catch (error) {
+    console.error('Redispatch package error:', error);
+    res.status(500).json({
+      error: 'Failed to redispatch package',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the live delivery estimate for an in-transit package
+router.get('/:packageId/eta', async (req, res) => {
+  try {
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }));
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    const eta = await estimateDelivery(packageData);
+
+    if (!eta) {
+      return res.status(409).json({
+        error: 'Package not in transit',
+        message: 'Delivery estimates are only available for dispatched or in-transit packages',
+        currentStatus: packageData.status,
+        actualDelivery: packageData.delivery.actualDelivery || null
+      });
+    }
+
+    res.json({
+      packageId: packageData.packageId,
+      status: packageData.status,
+      eta
+    });
+
+  } catch (error) {
+    console.error('Get package ETA error:', error);
+    res.status(500).json({
+      error: 'Failed to estimate delivery',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set a package's handling limits (a profile, its own limits, or both; null clears either)
+router.put('/:packageId/handling', requirePermission('package:update', ownPackageById), [
+  body('profile').optional({ nullable: true }).isIn(Object.keys(HANDLING_PROFILES))
+    .withMessage(`Handling profile must be one of: ${Object.keys(HANDLING_PROFILES).join(', ')}`),
+  body('limits').optional({ nullable: true }).custom(handlingLimitsValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }));
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    const before = { profile: packageData.handling?.profile || null, limits: packageData.handling?.limits || null };
+
+    if (req.body.profile !== undefined) packageData.handling.profile = req.body.profile || undefined;
+    if (req.body.limits !== undefined) packageData.handling.limits = req.body.limits || undefined;
+
+    if (!packageData.handlingLimits) {
+      packageData.compliance.status = 'unmonitored';
+    } else if (packageData.compliance.status === 'unmonitored') {
+      packageData.compliance.status = 'compliant';
+    }
+
+    await packageData.save();
+
+    await recordAudit(req, {
+      action: 'package.handling_update',
+      target: { type: 'package', id: packageData.packageId },
+      before,
+      after: { profile: packageData.handling.profile || null, limits: packageData.handling.limits || null }
+    });
+
+    res.json({
+      message: 'Handling limits updated successfully',
+      handling: packageData.handling,
+      limits: packageData.handlingLimits,
+      compliance: { status: packageData.compliance.status }
+    });
+
+  } catch (error) {
+    console.error('Update package handling error:', error);
+    res.status(500).json({
+      error: 'Failed to update handling limits',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a package's handling compliance report
+router.get('/:packageId/compliance', [
+  query('cycle').optional().isInt({ min: 1 }).withMessage('Cycle must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }));
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    res.json({
+      compliance: buildComplianceReport(packageData, {
+        cycle: req.query.cycle ? parseInt(req.query.cycle, 10) : null
+      })
+    });
+
+  } catch (error) {
+    console.error('Get package compliance error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch compliance report',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Whether the caller may share or manage every tracking link of a package, rather than only their own
+const managesTrackingLinks = (req, packageData) => isCrossOrg(req)
+  || !!effectiveOrganization(req)
+  || isPackageSeller(req.user, packageData);
+
+// Create a public tracking link for the package's current delivery
+router.post('/:packageId/tracking-links', forbidImpersonation, [
+  body('expiresInDays').optional().isInt({ min: 1, max: TRACKING_LINK_MAX_DAYS })
+    .withMessage(`expiresInDays must be 1-${TRACKING_LINK_MAX_DAYS}`).toInt(),
+  body('label').optional().isString().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }));
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    // Customers may only share the delivery that is theirs, not one they took part in earlier
+    const cycle = packageData.reuseCycles.find(candidate => candidate.cycle === linkCycle(packageData));
+    const isRecipient = [cycle?.customerId, packageData.delivery?.customerId]
+      .some(customer => customer?.equals(req.user._id));
+
+    if (!managesTrackingLinks(req, packageData) && !isRecipient) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the recipient or seller of the current delivery can share its tracking'
+      });
+    }
+
+    const { link, token, url } = await issueTrackingLink(packageData, req.user._id, {
+      days: req.body.expiresInDays || TRACKING_LINK_TTL_DAYS,
+      label: req.body.label
+    });
+
+    await recordAudit(req, {
+      action: 'tracking_link.create',
+      target: { type: 'package', id: packageData.packageId },
+      metadata: { linkId: String(link._id), cycle: link.cycle, expiresAt: link.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'Tracking link created successfully',
+      link,
+      token,
+      url
+    });
+
+  } catch (error) {
+    console.error('Create tracking link error:', error);
+    res.status(500).json({
+      error: 'Failed to create tracking link',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List a package's tracking links (sellers and org members see all, others their own)
+router.get('/:packageId/tracking-links', async (req, res) => {
+  try {
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    })).select('packageId delivery.sellerId organization');
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    const links = await TrackingLink.find({
+      package: packageData._id,
+      ...(!managesTrackingLinks(req, packageData) && { createdBy: req.user._id })
+    })
+    .populate('createdBy', 'username firstName lastName')
+    .sort({ createdAt: -1 });
+
+    res.json({ links });
+
+  } catch (error) {
+    console.error('Get tracking links error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracking links',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a tracking link
+router.delete('/:packageId/tracking-links/:linkId', forbidImpersonation, async (req, res) => {
+  try {
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    })).select('packageId delivery.sellerId organization');
+
+    if (!packageData || !mongoose.isValidObjectId(req.params.linkId)) {
+      return res.status(404).json({
+        error: 'Tracking link not found',
+        message: 'No tracking link found with the provided ID'
+      });
+    }
+
+    const link = await TrackingLink.findOne({
+      _id: req.params.linkId,
+      package: packageData._id,
+      ...(!managesTrackingLinks(req, packageData) && { createdBy: req.user._id })
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Tracking link not found',
+        message: 'No tracking link found with the provided ID'
+      });
+    }
+
+    if (!link.revokedAt) {
+      await link.revoke();
+
+      await recordAudit(req, {
+        action: 'tracking_link.revoke',
+        target: { type: 'package', id: packageData.packageId },
+        metadata: { linkId: String(link._id) }
+      });
+    }
+
+    res.json({
+      message: 'Tracking link revoked successfully',
+      link
+    });
+
+  } catch (error) {
+    console.error('Revoke tracking link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke tracking link',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a package's reuse cycles (customers only see the cycles they took part in)
+router.get('/:packageId/cycles', async (req, res) => {
+  try {
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    }))
+    .populate('reuseCycles.customerId', 'username firstName lastName')
+    .populate('reuseCycles.return.returnedBy', 'username firstName lastName');
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    const seesAllCycles = isCrossOrg(req)
+      || !!effectiveOrganization(req)
+      || isPackageSeller(req.user, packageData);
+
+    const tookPart = (cycle) => [cycle.customerId, cycle.return?.returnedBy]
+      .some(person => person && (person._id || person).equals(req.user._id));
+
+    const cycles = packageData.getReuseHistory().filter(cycle => seesAllCycles || tookPart(cycle));
+
+    res.json({
+      packageId: packageData.packageId,
+      status: packageData.status,
+      reuseCount: packageData.analytics.reuseCount,
+      currentCycle: packageData.currentCycle?.cycle || null,
+      cycles
+    });
+
+  } catch (error) {
+    console.error('Get package cycles error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch package cycles',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a printable label for a package (PDF by default)
+router.get('/:packageId/label', labelRules(query), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { format = 'pdf', dpi = DEFAULT_LABEL_DPI } = req.query;
+    const size = getLabelSize(req.query);
+
+    const packageData = await Package.findOne(scopePackageQuery(req, {
+      packageId: req.params.packageId.toUpperCase(),
+      isActive: true
+    })).select(LABEL_FIELDS);
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not found',
+        message: 'No package found with the provided ID'
+      });
+    }
+
+    res.type(LABEL_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `inline; filename="${packageData.packageId}-label.${format}"`);
+
+    if (format === 'pdf') {
+      return await writeLabelPdf([packageData], size, dpi, res);
+    }
+
+    res.send(format === 'png'
+      ? await renderLabelPng(packageData, size, dpi)
+      : await renderLabelSvg(packageData, size));
+
+  } catch (error) {
+    console.error('Get package label error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to render label',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Scan NFC/RFID tag
-router.post('/scan', [
+router.post('/scan', requirePermission('package:scan', ownPackageByTag), enforceFacilityScope, [
   body('tagId').isLength({ min: 1 }).withMessage('Tag ID is required'),
   body('location').optional().isObject(),
   body('iotData').optional().isObject()
@@ -324,41 +1269,52 @@ router.post('/scan', [
     const { tagId, location, iotData } = req.body;
 
     // Find package by RFID or NFC tag
-    const package = await Package.findOne({
+    const packageData = await Package.findOne(scopePackageQuery(req, {
       $or: [
         { rfidTag: tagId.toUpperCase() },
         { nfcTag: tagId }
       ],
       isActive: true
-    });
+    }));
 
-    if (!package) {
+    if (!packageData) {
       return res.status(404).json({
         error: 'Package not found',
         message: 'No package found with the provided tag'
       });
     }
 
+    // Resolve the location first so a scan outside the key's facility records nothing
+    const scopedFacility = req.apiKey?.scope?.facility;
+    const { location: resolved, facility } = await resolveLocation(location, {
+      organizations: facilityOwners(packageData),
+      facilityCode: scopedFacility
+    });
+    if (isOutsideFacilityScope(scopedFacility, resolved, facility)) {
+      return denyFacilityScope(res, scopedFacility);
+    }
+
     // Update IoT data if provided
     if (iotData) {
-      await package.updateIoTData(iotData);
+      await packageData.updateIoTData(iotData);
     }
 
     // Update location if provided
-    if (location) {
-      await package.updateLocation(location, null, req.user._id);
+    if (resolved) {
+      await packageData.updateLocation(resolved, null, req.user._id);
+      await updateEta(packageData, packageData.status);
     }
 
     res.json({
       message: 'Package scanned successfully',
       package: {
-        id: package._id,
-        packageId: package.packageId,
-        status: package.status,
-        currentLocation: package.currentLocation,
-        iotData: package.iotData,
-        environmentalScore: package.environmentalScore,
-        age: package.age
+        id: packageData._id,
+        packageId: packageData.packageId,
+        status: packageData.status,
+        currentLocation: packageData.currentLocation,
+        iotData: packageData.iotData,
+        environmentalScore: packageData.environmentalScore,
+        age: packageData.age
       }
     });
 
@@ -377,7 +1333,7 @@ router.get('/status/:status', async (req, res) => {
     const { status } = req.params;
     const { limit = 50 } = req.query;
 
-    const packages = await Package.getByStatus(status, limit);
+    const packages = await Package.getByStatus(status, limit, packageScope(req));
 
     res.json({
       packages,
@@ -400,7 +1356,7 @@ router.get('/near/:longitude/:latitude', async (req, res) => {
     const { maxDistance = 10000 } = req.query;
 
     const coordinates = [parseFloat(longitude), parseFloat(latitude)];
-    const packages = await Package.getNearLocation(coordinates, maxDistance);
+    const packages = await Package.getNearLocation(coordinates, maxDistance, packageScope(req));
 
     res.json({
       packages,
@@ -421,7 +1377,7 @@ router.get('/near/:longitude/:latitude', async (req, res) => {
 // Get package analytics
 router.get('/analytics/overview', async (req, res) => {
   try {
-    const analytics = await Package.getAnalytics();
+    const analytics = await Package.getAnalytics(packageScope(req));
     
     res.json({
       analytics: analytics[0] || {
@@ -443,17 +1399,17 @@ router.get('/analytics/overview', async (req, res) => {
   }
 });
 
-// Delete package (admin only)
-router.delete('/:packageId', requireRole(['admin']), async (req, res) => {
+// Delete package
+router.delete('/:packageId', requirePermission('package:delete', ownPackageById), async (req, res) => {
   try {
     const { packageId } = req.params;
 
-    const package = await Package.findOne({ 
+    const packageData = await Package.findOne(scopePackageQuery(req, { 
       packageId: packageId.toUpperCase(),
       isActive: true
-    });
+    }));
 
-    if (!package) {
+    if (!packageData) {
       return res.status(404).json({
         error: 'Package not found',
         message: 'No package found with the provided ID'
@@ -461,8 +1417,15 @@ router.delete('/:packageId', requireRole(['admin']), async (req, res) => {
     }
 
     // Soft delete
-    package.isActive = false;
-    await package.save();
+    packageData.isActive = false;
+    await packageData.save();
+
+    await recordAudit(req, {
+      action: 'package.delete',
+      target: { type: 'package', id: packageData.packageId },
+      before: { isActive: true },
+      after: { isActive: false }
+    });
 
     res.json({
       message: 'Package deleted successfully'
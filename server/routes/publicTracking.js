@@ -0,0 +1,54 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { resolveTrackingLink, buildPublicView, PUBLIC_TRACKING_RATE_LIMIT } from '../services/trackingLinks.js';
+import TrackingLink from '../models/TrackingLink.js';
+
+const router = express.Router();
+
+// Public endpoints get their own, tighter limit on top of the global one
+const trackingLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: PUBLIC_TRACKING_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests', message: 'Too many tracking requests from this IP, please try again later.' }
+});
+
+router.use(trackingLimiter);
+
+const LINK_ERRORS = {
+  invalid: { status: 404, error: 'Tracking link not found', message: 'This tracking link is not valid' },
+  expired: { status: 410, error: 'Tracking link expired', message: 'This tracking link has expired or was revoked' },
+  superseded: { status: 410, error: 'Tracking link expired', message: 'This delivery is complete and the link no longer applies' }
+};
+
+// Get the public tracking view behind a shared link
+router.get('/:token', async (req, res) => {
+  try {
+    const { link, packageData, reason } = await resolveTrackingLink(req.params.token);
+
+    if (reason) {
+      const { status, ...body } = LINK_ERRORS[reason];
+      return res.status(status).json(body);
+    }
+
+    const tracking = await buildPublicView(packageData, link);
+
+    await TrackingLink.updateOne(
+      { _id: link._id },
+      { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } }
+    );
+
+    res.set('Cache-Control', 'private, max-age=60');
+    res.json({ tracking });
+
+  } catch (error) {
+    console.error('Get public tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracking',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
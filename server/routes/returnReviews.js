@@ -0,0 +1,205 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import ReturnAssessment from '../models/ReturnAssessment.js';
+import { recordAudit } from '../services/audit.js';
+import { creditReturn } from '../services/fraud.js';
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['clear', 'pending_review', 'approved', 'rejected'];
+
+// Get flagged returns, oldest first so the queue is worked in order
+router.get('/', [
+  query('status').optional().isIn(REVIEW_STATUSES).withMessage('Invalid status'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending_review', user, packageId } = req.query;
+
+    const filter = { status };
+    if (user) filter.user = user;
+    if (packageId) filter.packageId = packageId.toUpperCase();
+
+    const reviews = await ReturnAssessment.find(filter)
+      .populate('user', 'username firstName lastName email createdAt')
+      .populate('reviewedBy', 'username firstName lastName')
+      .sort({ createdAt: status === 'pending_review' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await ReturnAssessment.countDocuments(filter);
+
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get return reviews error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch return reviews',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get one assessed return
+router.get('/:reviewId', [
+  param('reviewId').isMongoId().withMessage('Invalid review ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const review = await ReturnAssessment.findById(req.params.reviewId)
+      .populate('user', 'username firstName lastName email createdAt')
+      .populate('package', 'packageId status currentLocation delivery analytics.reuseCount')
+      .populate('reviewedBy', 'username firstName lastName');
+
+    if (!review) {
+      return res.status(404).json({
+        error: 'Review not found',
+        message: 'No return review found with the provided ID'
+      });
+    }
+
+    res.json({ review });
+
+  } catch (error) {
+    console.error('Get return review error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch return review',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Settle a held return. The status update is conditional so two reviewers
+// can't both decide (and credit) the same return.
+const decide = async (req, status) => {
+  const before = await ReturnAssessment.findOne({ _id: req.params.reviewId, status: 'pending_review' });
+  if (!before) return null;
+
+  const review = await ReturnAssessment.findOneAndUpdate(
+    { _id: before._id, status: 'pending_review' },
+    {
+      $set: {
+        status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNotes: req.body.notes
+      }
+    },
+    { new: true }
+  );
+  if (!review) return null;
+
+  await recordAudit(req, {
+    action: status === 'approved' ? 'return.approve' : 'return.reject',
+    target: { type: 'ReturnAssessment', id: review._id },
+    before: { status: before.status },
+    after: { status: review.status },
+    metadata: {
+      packageId: review.packageId,
+      user: review.user,
+      score: review.score,
+      tokens: review.tokens,
+      notes: review.reviewNotes
+    }
+  });
+
+  return review;
+};
+
+const notPending = (res) => res.status(409).json({
+  error: 'Review not pending',
+  message: 'No pending return review found with the provided ID'
+});
+
+// Approve a held return and release its tokens
+router.post('/:reviewId/approve', [
+  param('reviewId').isMongoId().withMessage('Invalid review ID'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const review = await decide(req, 'approved');
+    if (!review) return notPending(res);
+
+    const user = await creditReturn(review);
+
+    res.json({
+      message: user ? 'Return approved and tokens credited' : 'Return approved; the user no longer exists',
+      review,
+      tokensAwarded: user ? review.tokens : 0
+    });
+
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(500).json({
+      error: 'Failed to approve return',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a held return; its tokens are never credited
+router.post('/:reviewId/reject', [
+  param('reviewId').isMongoId().withMessage('Invalid review ID'),
+  body('notes').isString().trim().isLength({ min: 5, max: 1000 }).withMessage('A reason of 5-1000 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const review = await decide(req, 'rejected');
+    if (!review) return notPending(res);
+
+    res.json({
+      message: 'Return rejected',
+      review
+    });
+
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(500).json({
+      error: 'Failed to reject return',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
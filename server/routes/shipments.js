@@ -0,0 +1,564 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Shipment, { SHIPMENT_STATUSES, OPEN_SHIPMENT_STATUSES, ShipmentTransitionError } from '../models/Shipment.js';
+import Package from '../models/Package.js';
+import { requirePermission, enforceFacilityScope, denyFacilityScope } from '../middleware/authorize.js';
+import { effectiveOrganization, scopePackageQuery, shipmentScope } from '../services/tenancy.js';
+import { resolveLocation, isOutsideFacilityScope } from '../services/facilities.js';
+import { notifyDelivered } from '../services/notifications.js';
+import { updateEta } from '../services/eta.js';
+import { buildComplianceReport } from '../services/compliance.js';
+import { recordAudit } from '../services/audit.js';
+import { containsText } from '../services/search.js';
+
+const router = express.Router();
+
+// Package statuses that can go out in a new shipment
+const SHIPPABLE_STATUSES = ['manufactured', 'returned', 'processing'];
+
+// Fields shown for each package in a shipment
+const PACKAGE_SUMMARY = 'packageId rfidTag type status currentLocation delivery.customerId delivery.orderId';
+
+const scopeShipmentQuery = (req, query) => {
+  const scope = shipmentScope(req);
+  if (Object.keys(scope).length === 0) return query;
+  return { $and: [scope, query] };
+};
+
+// Loads the shipment named in the URL within the caller's scope, answering 404 if it isn't there
+const loadShipment = async (req, res) => {
+  const shipment = await Shipment.findOne(scopeShipmentQuery(req, {
+    shipmentId: req.params.shipmentId.toUpperCase()
+  }));
+  if (!shipment) {
+    res.status(404).json({
+      error: 'Shipment not found',
+      message: 'No shipment found with the provided ID'
+    });
+  }
+  return shipment;
+};
+
+const transitionError = (res, error) => res.status(409).json({
+  error: 'Invalid status transition',
+  message: error.message,
+  currentStatus: error.from,
+  allowedStatuses: error.allowed
+});
+
+/**
+ * Checks that packages can join a shipment: they must exist within the caller's scope,
+ * be ready to ship and not already travel in another open shipment.
+ * @returns {Promise<{packages?: object[], failure?: {status: number, body: object}}>}
+ */
+const findShippablePackages = async (req, packageIds, shipmentId = null) => {
+  const ids = [...new Set(packageIds.map(id => id.toUpperCase()))];
+
+  const packages = await Package.find(scopePackageQuery(req, {
+    packageId: { $in: ids },
+    isActive: true
+  }));
+
+  const found = new Set(packages.map(pkg => pkg.packageId));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return {
+      failure: {
+        status: 404,
+        body: { error: 'Packages not found', message: `No package found for ${missing.length} of the requested IDs`, missing }
+      }
+    };
+  }
+
+  const notShippable = packages
+    .filter(pkg => !SHIPPABLE_STATUSES.includes(pkg.status))
+    .map(pkg => ({ packageId: pkg.packageId, status: pkg.status }));
+  if (notShippable.length > 0) {
+    return {
+      failure: {
+        status: 409,
+        body: { error: 'Packages not shippable', message: `Only ${SHIPPABLE_STATUSES.join(', ')} packages can be shipped`, packages: notShippable }
+      }
+    };
+  }
+
+  const otherShipments = await Shipment.find({
+    packages: { $in: packages.map(pkg => pkg._id) },
+    status: { $in: OPEN_SHIPMENT_STATUSES },
+    ...(shipmentId && { _id: { $ne: shipmentId } })
+  }).select('shipmentId packages');
+  if (otherShipments.length > 0) {
+    const taken = packages
+      .map(pkg => ({ packageId: pkg.packageId, shipment: otherShipments.find(shipment => shipment.packages.some(id => id.equals(pkg._id)))?.shipmentId }))
+      .filter(entry => entry.shipment);
+    return {
+      failure: {
+        status: 409,
+        body: { error: 'Packages already shipping', message: 'Some packages are already in another open shipment', packages: taken }
+      }
+    };
+  }
+
+  return { packages };
+};
+
+// Get all shipments
+router.get('/', [
+  query('status').optional().isIn(SHIPMENT_STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (search) {
+      filter.$or = [
+        { shipmentId: containsText(search) },
+        { carrierReference: containsText(search) }
+      ];
+    }
+
+    const shipments = await Shipment.find(scopeShipmentQuery(req, filter))
+      .select('-trackingHistory')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Shipment.countDocuments(scopeShipmentQuery(req, filter));
+
+    res.json({
+      shipments,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipments',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a shipment, optionally with its first packages
+router.post('/', requirePermission('shipment:manage'), [
+  body('packageIds').optional().isArray({ max: 1000 }),
+  body('packageIds.*').isString().trim().notEmpty().withMessage('Invalid package ID'),
+  body('logisticsOrganization').optional().isMongoId().withMessage('Invalid logistics organization ID'),
+  body('carrier').optional().isString().trim().isLength({ max: 100 }),
+  body('carrierReference').optional().isString().trim().isLength({ max: 100 }),
+  body('destination').optional().isObject(),
+  body('expectedDelivery').optional().isISO8601().withMessage('expectedDelivery must be an ISO 8601 date'),
+  body('notes').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { packageIds = [], logisticsOrganization, carrier, carrierReference, destination, expectedDelivery, notes } = req.body;
+
+    let packages = [];
+    if (packageIds.length > 0) {
+      const result = await findShippablePackages(req, packageIds);
+      if (result.failure) return res.status(result.failure.status).json(result.failure.body);
+      packages = result.packages;
+    }
+
+    const shipment = new Shipment({
+      shipmentId: Shipment.generateShipmentId(),
+      packages: packages.map(pkg => pkg._id),
+      organization: effectiveOrganization(req),
+      logisticsOrganization,
+      carrier,
+      carrierReference,
+      destination,
+      expectedDelivery,
+      notes,
+      createdBy: req.user._id
+    });
+    await shipment.save();
+
+    res.status(201).json({
+      message: 'Shipment created successfully',
+      shipment
+    });
+
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    res.status(500).json({
+      error: 'Failed to create shipment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get shipment by ID, with its packages
+router.get('/:shipmentId', async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne(scopeShipmentQuery(req, {
+      shipmentId: req.params.shipmentId.toUpperCase()
+    }))
+    .select('-trackingHistory')
+    .populate('packages', PACKAGE_SUMMARY)
+    .populate('createdBy', 'username firstName lastName');
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        message: 'No shipment found with the provided ID'
+      });
+    }
+
+    res.json({ shipment });
+
+  } catch (error) {
+    console.error('Get shipment error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get shipment-level tracking: the shipment's own history plus where each package is now
+router.get('/:shipmentId/tracking', async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne(scopeShipmentQuery(req, {
+      shipmentId: req.params.shipmentId.toUpperCase()
+    }))
+    .populate('packages', 'packageId status currentLocation')
+    .populate('trackingHistory.scannedBy', 'username firstName lastName');
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        message: 'No shipment found with the provided ID'
+      });
+    }
+
+    const packageStatuses = shipment.packages.reduce((counts, pkg) => {
+      counts[pkg.status] = (counts[pkg.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      shipmentId: shipment.shipmentId,
+      status: shipment.status,
+      currentLocation: shipment.currentLocation,
+      dispatchedAt: shipment.dispatchedAt,
+      expectedDelivery: shipment.expectedDelivery,
+      deliveredAt: shipment.deliveredAt,
+      trackingHistory: [...shipment.trackingHistory].sort((a, b) => b.timestamp - a.timestamp),
+      packageStatuses,
+      packages: shipment.packages.map(pkg => ({
+        packageId: pkg.packageId,
+        status: pkg.status,
+        currentLocation: pkg.currentLocation
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get shipment tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipment tracking',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the handling compliance of every package in a shipment while it was on the way
+router.get('/:shipmentId/compliance', async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne(scopeShipmentQuery(req, {
+      shipmentId: req.params.shipmentId.toUpperCase()
+    }))
+    .populate('packages', 'packageId status handling compliance iotData reuseCycles');
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        message: 'No shipment found with the provided ID'
+      });
+    }
+
+    // Only violations overlapping the shipment's time on the road count against it
+    const window = {
+      from: shipment.dispatchedAt || shipment.createdAt,
+      to: shipment.deliveredAt || null
+    };
+
+    const packages = shipment.packages.map(packageData => {
+      const { summary, violations, ...report } = buildComplianceReport(packageData, window);
+      return {
+        ...report,
+        compliantInShipment: violations.length === 0,
+        summary,
+        violations
+      };
+    });
+
+    const monitored = packages.filter(report => report.limits);
+
+    res.json({
+      shipmentId: shipment.shipmentId,
+      status: shipment.status,
+      window,
+      totals: {
+        packages: packages.length,
+        monitored: monitored.length,
+        compliant: monitored.filter(report => report.compliantInShipment).length,
+        nonCompliant: monitored.filter(report => !report.compliantInShipment).length,
+        violations: packages.reduce((total, report) => total + report.violations.length, 0)
+      },
+      packages
+    });
+
+  } catch (error) {
+    console.error('Get shipment compliance error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipment compliance',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add packages to a shipment that hasn't been dispatched yet
+router.post('/:shipmentId/packages', requirePermission('shipment:manage'), [
+  body('packageIds').isArray({ min: 1, max: 1000 }).withMessage('packageIds must list 1-1000 packages'),
+  body('packageIds.*').isString().trim().notEmpty().withMessage('Invalid package ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (shipment.status !== 'created') {
+      return res.status(409).json({
+        error: 'Shipment already dispatched',
+        message: 'Packages can only be added before a shipment is dispatched',
+        currentStatus: shipment.status
+      });
+    }
+
+    const { packages, failure } = await findShippablePackages(req, req.body.packageIds, shipment._id);
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    const updated = await Shipment.findOneAndUpdate(
+      { _id: shipment._id, status: 'created' },
+      { $addToSet: { packages: { $each: packages.map(pkg => pkg._id) } } },
+      { new: true }
+    ).populate('packages', PACKAGE_SUMMARY);
+
+    res.json({
+      message: `Added ${packages.length} package(s) to the shipment`,
+      shipment: updated
+    });
+
+  } catch (error) {
+    console.error('Add shipment packages error:', error);
+    res.status(500).json({
+      error: 'Failed to add packages to shipment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a package from an open shipment (e.g. left behind or lost on the way)
+router.delete('/:shipmentId/packages/:packageId', requirePermission('shipment:manage'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (!shipment.isOpen) {
+      return res.status(409).json({
+        error: 'Shipment closed',
+        message: `Packages can't be removed from a ${shipment.status} shipment`,
+        currentStatus: shipment.status
+      });
+    }
+
+    const packageData = await Package.findOne({
+      packageId: req.params.packageId.toUpperCase(),
+      _id: { $in: shipment.packages }
+    }).select('packageId');
+
+    if (!packageData) {
+      return res.status(404).json({
+        error: 'Package not in shipment',
+        message: 'The package is not part of this shipment'
+      });
+    }
+
+    shipment.packages.pull(packageData._id);
+    await shipment.save();
+
+    await recordAudit(req, {
+      action: 'shipment.package_remove',
+      target: { type: 'shipment', id: shipment.shipmentId },
+      before: { packageId: packageData.packageId },
+      metadata: { status: shipment.status }
+    });
+
+    res.json({
+      message: 'Package removed from shipment',
+      shipmentId: shipment.shipmentId,
+      packageCount: shipment.packages.length
+    });
+
+  } catch (error) {
+    console.error('Remove shipment package error:', error);
+    res.status(500).json({
+      error: 'Failed to remove package from shipment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update shipment location and status, cascading to every package in it
+router.put('/:shipmentId/update-location', requirePermission('shipment:manage'), enforceFacilityScope, [
+  body('location').isObject().withMessage('Location object is required'),
+  body('status').optional().isIn(SHIPMENT_STATUSES.filter(status => status !== 'cancelled')).withMessage('Invalid status'),
+  body('notes').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, notes } = req.body;
+
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (status === 'dispatched' && shipment.packages.length === 0) {
+      return res.status(409).json({
+        error: 'Empty shipment',
+        message: 'Add packages before dispatching the shipment'
+      });
+    }
+
+    const scopedFacility = req.apiKey?.scope?.facility;
+    const { location, facility } = await resolveLocation(req.body.location, {
+      organizations: [shipment.organization, shipment.logisticsOrganization],
+      facilityCode: scopedFacility
+    });
+    if (isOutsideFacilityScope(scopedFacility, location, facility)) {
+      return denyFacilityScope(res, scopedFacility);
+    }
+
+    let results;
+    try {
+      results = await shipment.updateLocation(location, status, req.user._id, notes);
+    } catch (error) {
+      if (error instanceof ShipmentTransitionError) return transitionError(res, error);
+      throw error;
+    }
+
+    for (const { package: packageData, previousStatus, updated } of results) {
+      if (!updated) continue;
+      await notifyDelivered(packageData, previousStatus);
+      await updateEta(packageData, previousStatus);
+    }
+
+    const skipped = results.filter(result => !result.updated);
+
+    res.json({
+      message: skipped.length > 0
+        ? `Shipment updated; ${skipped.length} package(s) could not follow`
+        : 'Shipment location updated successfully',
+      shipment,
+      packages: results.map(({ package: packageData, updated, error }) => ({
+        packageId: packageData.packageId,
+        status: packageData.status,
+        updated,
+        ...(error && { error })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Update shipment location error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipment location',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel a shipment that hasn't been dispatched
+router.post('/:shipmentId/cancel', requirePermission('shipment:manage'), [
+  body('reason').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    try {
+      await shipment.cancel(req.user._id, req.body.reason);
+    } catch (error) {
+      if (error instanceof ShipmentTransitionError) return transitionError(res, error);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'shipment.cancel',
+      target: { type: 'shipment', id: shipment.shipmentId },
+      before: { status: 'created' },
+      after: { status: shipment.status },
+      metadata: { reason: req.body.reason || null, packageCount: shipment.packages.length }
+    });
+
+    res.json({
+      message: 'Shipment cancelled successfully',
+      shipment
+    });
+
+  } catch (error) {
+    console.error('Cancel shipment error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel shipment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -1,11 +1,28 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Package from '../models/Package.js';
-import { requireRole } from '../middleware/auth.js';
+import OneTimeToken from '../models/OneTimeToken.js';
+import { forbidImpersonation } from '../middleware/auth.js';
+import { requirePermission, hasPermission } from '../middleware/authorize.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  createImpersonationSession,
+  IMPERSONATION_MAX_MINUTES
+} from '../services/session.js';
+import { unlockAccount } from '../services/loginProtection.js';
+import { buildDataExport, writeExportArchive, eraseUser } from '../services/privacy.js';
+import { sendErasureConfirmationEmail } from '../services/mail.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
+const ERASURE_CONFIRMATION_TTL_HOURS = 24;
+const DEFAULT_IMPERSONATION_MINUTES = 30;
+
 // Get user profile
 router.get('/profile', async (req, res) => {
   try {
@@ -25,7 +42,7 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', [
+router.put('/profile', forbidImpersonation, [
   body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
   body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
   body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
@@ -70,6 +87,86 @@ router.put('/profile', [
   }
 });
 
+// Export personal data as JSON or ZIP
+router.get('/profile/export', forbidImpersonation, [
+  query('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { format = 'json' } = req.query;
+
+    const data = await buildDataExport(req.user._id);
+    await SecurityEvent.record('data_exported', req.user._id, req, { format });
+
+    const filename = `packchain-export-${data.exportedAt.slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'zip') {
+      return await writeExportArchive(data, res);
+    }
+
+    res.json(data);
+
+  } catch (error) {
+    console.error('Export data error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request account erasure (confirmed through a link sent by email)
+router.post('/profile/erasure', forbidImpersonation, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'The password you provided is incorrect'
+      });
+    }
+
+    const token = await OneTimeToken.issue(
+      user._id,
+      'account_erasure',
+      ERASURE_CONFIRMATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await sendErasureConfirmationEmail(user, token, ERASURE_CONFIRMATION_TTL_HOURS);
+    await SecurityEvent.record('erasure_requested', user._id, req);
+
+    res.status(202).json({
+      message: 'Check your email to confirm the deletion of your account'
+    });
+
+  } catch (error) {
+    console.error('Request erasure error:', error);
+    res.status(500).json({
+      error: 'Failed to request account erasure',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get user's packages
 router.get('/packages', async (req, res) => {
   try {
@@ -77,10 +174,12 @@ router.get('/packages', async (req, res) => {
 
     const query = { isActive: true };
     
-    // Filter by user's packages (delivered to or returned by)
+    // Filter by user's packages (delivered to or returned by, in any reuse cycle)
     query.$or = [
       { 'delivery.customerId': req.user._id },
-      { 'return.returnedBy': req.user._id }
+      { 'return.returnedBy': req.user._id },
+      { 'reuseCycles.customerId': req.user._id },
+      { 'reuseCycles.return.returnedBy': req.user._id }
     ];
 
     if (status) query.status = status;
@@ -138,7 +237,7 @@ router.get('/tokens/transactions', async (req, res) => {
 });
 
 // Spend tokens (for redemptions)
-router.post('/tokens/spend', [
+router.post('/tokens/spend', requirePermission('token:spend'), forbidImpersonation, [
   body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
   body('reason').optional().isString()
 ], async (req, res) => {
@@ -156,7 +255,16 @@ router.post('/tokens/spend', [
     const user = await User.findById(req.user._id);
     
     try {
+      const balanceBefore = user.tokenBalance;
       await user.spendTokens(amount, reason);
+
+      await recordAudit(req, {
+        action: 'token.spend',
+        target: { type: 'user', id: user._id },
+        before: { tokenBalance: balanceBefore },
+        after: { tokenBalance: user.tokenBalance },
+        metadata: { amount, reason }
+      });
       
       res.json({
         message: 'Tokens spent successfully',
@@ -218,7 +326,9 @@ router.get('/stats', async (req, res) => {
         $match: {
           $or: [
             { 'delivery.customerId': user._id },
-            { 'return.returnedBy': user._id }
+            { 'return.returnedBy': user._id },
+            { 'reuseCycles.customerId': user._id },
+            { 'reuseCycles.return.returnedBy': user._id }
           ],
           isActive: true
         }
@@ -267,7 +377,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Get all users (admin only)
-router.get('/', requireRole(['admin']), async (req, res) => {
+router.get('/', requirePermission('user:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, role, search } = req.query;
 
@@ -312,7 +422,7 @@ router.get('/', requireRole(['admin']), async (req, res) => {
 });
 
 // Get user by ID (admin only)
-router.get('/:userId', requireRole(['admin']), async (req, res) => {
+router.get('/:userId', requirePermission('user:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -340,7 +450,7 @@ router.get('/:userId', requireRole(['admin']), async (req, res) => {
 });
 
 // Update user (admin only)
-router.put('/:userId', requireRole(['admin']), [
+router.put('/:userId', requirePermission('user:manage'), [
   body('role').optional().isIn(['customer', 'seller', 'logistics', 'admin']),
   body('isActive').optional().isBoolean(),
   body('isVerified').optional().isBoolean()
@@ -362,12 +472,62 @@ router.put('/:userId', requireRole(['admin']), [
     if (isActive !== undefined) updateData.isActive = isActive;
     if (isVerified !== undefined) updateData.isVerified = isVerified;
 
+    const previous = await User.findById(userId).select('role isActive isVerified');
+
+    if (!previous) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with the provided ID'
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    // A deactivated account must not keep any live session
+    if (isActive === false) {
+      await revokeAllSessions(user._id, { reason: 'account_deactivated' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'user', id: user._id },
+      before: { role: previous.role, isActive: previous.isActive, isVerified: previous.isVerified },
+      after: { role: user.role, isActive: user.isActive, isVerified: user.isVerified }
+    });
+
+    res.json({
+      message: 'User updated successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      error: 'Failed to update user',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Unlock an account locked by failed logins (admin only)
+router.post('/:userId/unlock', requirePermission('user:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await unlockAccount(req.params.userId, req.user._id, req);
+
     if (!user) {
       return res.status(404).json({
         error: 'User not found',
@@ -375,15 +535,324 @@ router.put('/:userId', requireRole(['admin']), [
       });
     }
 
+    await recordAudit(req, { action: 'user.unlock', target: { type: 'user', id: user._id } });
+
     res.json({
-      message: 'User updated successfully',
+      message: 'Account unlocked successfully',
       user
     });
 
   } catch (error) {
-    console.error('Update user error:', error);
+    console.error('Unlock user error:', error);
     res.status(500).json({
-      error: 'Failed to update user',
+      error: 'Failed to unlock user',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Erase a user's personal data (admin only)
+router.post('/:userId/erase', requirePermission('user:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const erased = await eraseUser(req.params.userId, { actorId: req.user._id });
+
+    if (!erased) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with the provided ID, or the account is already erased'
+      });
+    }
+
+    await recordAudit(req, { action: 'user.erase', target: { type: 'user', id: req.params.userId } });
+
+    res.json({
+      message: 'User erased successfully'
+    });
+
+  } catch (error) {
+    console.error('Erase user error:', error);
+    res.status(500).json({
+      error: 'Failed to erase user',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start acting as a user to debug what they see (admin only, time-boxed and audited)
+router.post('/:userId/impersonate', requirePermission('user:impersonate'), forbidImpersonation, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters'),
+  body('minutes').optional().isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`Minutes must be between 1 and ${IMPERSONATION_MAX_MINUTES}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { reason, minutes = DEFAULT_IMPERSONATION_MINUTES } = req.body;
+
+    const user = await User.findById(req.params.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No active user found with the provided ID'
+      });
+    }
+
+    // Admins can't borrow each other's (or their own) privileges
+    if (user._id.equals(req.user._id) || hasPermission(user, 'user:impersonate')) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Administrators cannot be impersonated'
+      });
+    }
+
+    const session = await createImpersonationSession(req.user._id, user._id, { reason, minutes: minutes * 1 }, req);
+
+    await recordAudit(req, {
+      action: 'user.impersonation_start',
+      target: { type: 'user', id: user._id },
+      metadata: { reason, sessionId: session.sessionId, expiresAt: session.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      user: {
+        id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      impersonator: {
+        id: req.user._id,
+        username: req.user.username
+      },
+      ...session
+    });
+
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      error: 'Failed to start impersonation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a user's login security events (admin only)
+router.get('/:userId/security-events', requirePermission('user:read'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, type } = req.query;
+
+    const query = { user: req.params.userId };
+    if (type) query.type = type;
+
+    const events = await SecurityEvent.find(query)
+      .populate('actor', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit * 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch security events',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost phone (admin only)
+router.delete('/:userId/2fa', requirePermission('user:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with the provided ID'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Sessions opened with the old authenticator shouldn't outlive it
+    const sessionsRevoked = await revokeAllSessions(user._id, { reason: 'two_factor_reset' });
+
+    await recordAudit(req, {
+      action: 'user.2fa_reset',
+      target: { type: 'user', id: user._id },
+      metadata: { sessionsRevoked }
+    });
+
+    res.json({
+      message: 'Two-factor authentication reset successfully',
+      twoFactorRequired: user.requiresTwoFactor(),
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    console.error('Reset user 2FA error:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a user's active sessions (admin only)
+router.get('/:userId/sessions', requirePermission('user:read'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const sessions = await listSessions(req.params.userId);
+
+    res.json({
+      sessions,
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke all of a user's sessions, e.g. for a lost device (admin only)
+router.delete('/:userId/sessions', requirePermission('user:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions(req.params.userId, { reason: 'revoked_by_admin' });
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      target: { type: 'user', id: req.params.userId },
+      metadata: { sessionsRevoked }
+    });
+
+    res.json({
+      message: 'User sessions revoked successfully',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke user sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a single session of a user (admin only)
+router.delete('/:userId/sessions/:sessionId', requirePermission('user:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, sessionId } = req.params;
+    const session = await revokeSession(sessionId, { userId, reason: 'revoked_by_admin' });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No session found with the provided ID'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.session_revoke',
+      target: { type: 'user', id: userId },
+      metadata: { sessionId }
+    });
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
       message: 'Internal server error'
     });
   }
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import AuditEvent from '../models/AuditEvent.js';
+
+// --- Configuration ---
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Appends run one at a time in this process so each event sees its predecessor
+let appendQueue = Promise.resolve();
+
+// JSON with sorted object keys, so the same event always hashes the same way
+const canonicalize = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value?.toHexString === 'function') return JSON.stringify(value.toHexString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Fields covered by the hash; everything an auditor relies on
+const hashEvent = (event) => crypto
+  .createHash('sha256')
+  .update(canonicalize({
+    sequence: event.sequence,
+    action: event.action,
+    actor: event.actor,
+    impersonatedUser: event.impersonatedUser,
+    apiKey: event.apiKey,
+    target: event.target,
+    changes: event.changes,
+    metadata: event.metadata,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    requestId: event.requestId,
+    previousHash: event.previousHash,
+    createdAt: event.createdAt
+  }))
+  .digest('hex');
+
+// Normalize a value into something that survives a round trip through MongoDB unchanged
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Reduces two snapshots to the fields that differ.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {{before: object|null, after: object|null}}
+ */
+export const diffChanges = (before, after) => {
+  if (!before || !after) {
+    return { before: toPlain(before), after: toPlain(after) };
+  }
+
+  const diff = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    const previous = toPlain(before[key]);
+    const next = toPlain(after[key]);
+    if (canonicalize(previous) !== canonicalize(next)) {
+      diff.before[key] = previous;
+      diff.after[key] = next;
+    }
+  });
+
+  return diff;
+};
+
+const appendEvent = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await AuditEvent.findLatest();
+    const event = {
+      ...fields,
+      sequence: (latest?.sequence || 0) + 1,
+      previousHash: latest?.hash || GENESIS_HASH,
+      createdAt: new Date()
+    };
+    event.hash = hashEvent(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      // Another server instance took this sequence number first; rebuild on top of it
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Appends an event to the audit log. Never throws: a failed write is logged so the
+ * action being audited isn't rolled back after it already happened.
+ *
+ * @param {import('express').Request} req - Supplies the actor, IP, user agent and request ID. During
+ *   impersonation the admin is the actor and the impersonated user is recorded alongside.
+ * @param {object} entry
+ * @param {string} entry.action - Dotted name, e.g. 'user.update'.
+ * @param {{type: string, id: *}} [entry.target]
+ * @param {object} [entry.before] - State before the change; only differing fields are kept.
+ * @param {object} [entry.after] - State after the change.
+ * @param {object} [entry.metadata] - Anything else worth keeping, e.g. a reason.
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+export const recordAudit = (req, { action, target = {}, before = null, after = null, metadata = {} }) => {
+  const fields = {
+    action,
+    actor: req.impersonator?._id || req.user?._id || null,
+    impersonatedUser: req.impersonator ? req.user._id : null,
+    apiKey: req.apiKey?._id || null,
+    target: {
+      type: target.type || null,
+      id: target.id !== undefined && target.id !== null ? String(target.id) : null
+    },
+    changes: before || after ? diffChanges(before, after) : { before: null, after: null },
+    metadata: toPlain(metadata),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestId: req.id
+  };
+
+  const appended = appendQueue
+    .then(() => appendEvent(fields))
+    .catch(error => {
+      console.error(`Audit log write failed for ${action}:`, error);
+      return null;
+    });
+
+  appendQueue = appended;
+  return appended;
+};
+
+/**
+ * Recomputes the hash chain to detect edited, deleted or reordered events.
+ * @param {object} [options]
+ * @param {number} [options.fromSequence] - First sequence number to check.
+ * @param {number} [options.limit] - Maximum number of events to check.
+ * @returns {Promise<{valid: boolean, checked: number, lastSequence: number|null,
+ *   brokenAt?: number, reason?: string}>}
+ */
+export const verifyChain = async ({ fromSequence = 1, limit = 10000 } = {}) => {
+  let expectedPreviousHash = GENESIS_HASH;
+  let expectedSequence = fromSequence;
+
+  if (fromSequence > 1) {
+    const previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).lean();
+    if (!previous) {
+      return { valid: false, checked: 0, lastSequence: null, brokenAt: fromSequence - 1, reason: 'missing' };
+    }
+    expectedPreviousHash = previous.hash;
+  }
+
+  const cursor = AuditEvent.find({ sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .limit(limit)
+    .lean()
+    .cursor();
+
+  let checked = 0;
+  let lastSequence = null;
+
+  for await (const event of cursor) {
+    if (event.sequence !== expectedSequence) {
+      return { valid: false, checked, lastSequence, brokenAt: expectedSequence, reason: 'missing' };
+    }
+    if (event.previousHash !== expectedPreviousHash) {
+      return { valid: false, checked, lastSequence, brokenAt: event.sequence, reason: 'chain_mismatch' };
+    }
+    if (hashEvent(event) !== event.hash) {
+      return { valid: false, checked, lastSequence, brokenAt: event.sequence, reason: 'hash_mismatch' };
+    }
+
+    expectedPreviousHash = event.hash;
+    expectedSequence += 1;
+    lastSequence = event.sequence;
+    checked += 1;
+  }
+
+  return { valid: true, checked, lastSequence };
+};
@@ -0,0 +1,69 @@
+import { HANDLING_METRICS } from '../config/handlingProfiles.js';
+
+// Seconds a violation has lasted so far; open ones run up to their last reading
+const durationOf = (violation) => Math.round(((violation.endedAt || violation.lastSeenAt || violation.startedAt) - violation.startedAt) / 1000);
+
+// Whether a violation overlaps [from, to]; either end may be left open
+const overlaps = (violation, from, to) => (!to || violation.startedAt <= to)
+  && (!from || (violation.endedAt || violation.lastSeenAt || violation.startedAt) >= from);
+
+/**
+ * Totals violations per metric: how many, how long in all, and the worst reading.
+ * @returns {Object<string, {violations: number, totalDurationSeconds: number, worst: number|null, open: boolean}>}
+ */
+export const summarizeViolations = (violations) => {
+  const summary = {};
+
+  violations.forEach(violation => {
+    const entry = summary[violation.metric] ||= { violations: 0, totalDurationSeconds: 0, worst: null, open: false };
+    entry.violations += 1;
+    entry.totalDurationSeconds += durationOf(violation);
+    entry.open ||= !violation.endedAt;
+
+    const worse = violation.bound === 'min' ? Math.min : Math.max;
+    entry.worst = entry.worst === null ? violation.peak : worse(entry.worst, violation.peak);
+  });
+
+  return summary;
+};
+
+/**
+ * Builds the compliance report for one package, optionally limited to the violations
+ * that overlap a time window (e.g. the time it spent in a shipment).
+ * @param {object} packageData - Package document
+ * @param {{from?: Date, to?: Date, cycle?: number}} [options]
+ */
+export const buildComplianceReport = (packageData, { from = null, to = null, cycle = null } = {}) => {
+  const violations = packageData.compliance.violations
+    .filter(violation => overlaps(violation, from, to))
+    .filter(violation => cycle === null || violation.cycle === cycle)
+    .map(violation => ({
+      metric: violation.metric,
+      bound: violation.bound,
+      threshold: violation.threshold,
+      peak: violation.peak,
+      readings: violation.readings,
+      startedAt: violation.startedAt,
+      endedAt: violation.endedAt,
+      durationSeconds: durationOf(violation),
+      cycle: violation.cycle ?? null,
+      source: violation.source,
+      deviceId: violation.deviceId || null,
+      coordinates: violation.coordinates?.length ? violation.coordinates : null
+    }));
+
+  const lastReading = Object.fromEntries(Object.keys(HANDLING_METRICS)
+    .filter(metric => Number.isFinite(packageData.iotData?.[metric]))
+    .map(metric => [metric, packageData.iotData[metric]]));
+
+  return {
+    packageId: packageData.packageId,
+    status: packageData.compliance.status,
+    profile: packageData.handling?.profile || null,
+    limits: packageData.handlingLimits,
+    lastEvaluatedAt: packageData.compliance.lastEvaluatedAt || null,
+    lastReading: Object.keys(lastReading).length > 0 ? { ...lastReading, at: packageData.iotData.lastUpdate } : null,
+    summary: summarizeViolations(violations),
+    violations
+  };
+};
@@ -0,0 +1,267 @@
+import Package from '../models/Package.js';
+import TransitLane, { ANY_PLACE } from '../models/TransitLane.js';
+
+// --- Configuration ---
+// A lane needs this many delivered trips before its estimates are used
+const MIN_SAMPLES = parseInt(process.env.ETA_MIN_SAMPLES, 10) || 5;
+// Probability that delivery falls inside the reported interval
+const CONFIDENCE = parseFloat(process.env.ETA_CONFIDENCE) || 0.8;
+// Transit time assumed when no lane has enough history yet
+const DEFAULT_TRANSIT_HOURS = parseFloat(process.env.ETA_DEFAULT_TRANSIT_HOURS) || 72;
+// Trips longer than this are treated as data errors and not learned from
+const MAX_TRANSIT_HOURS = (parseFloat(process.env.ETA_MAX_TRANSIT_DAYS) || 60) * 24;
+const DEFAULT_SPREAD = 0.5;
+const MIN_SPREAD = 0.05;
+const HOUR_MS = 60 * 60 * 1000;
+
+if (!(CONFIDENCE > 0 && CONFIDENCE < 1)) {
+  throw new Error(`ETA_CONFIDENCE must be between 0 and 1, got ${process.env.ETA_CONFIDENCE}`);
+}
+
+export const IN_TRANSIT_STATUSES = ['dispatched', 'in_transit'];
+
+// --- Normal distribution ---
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// --- Lanes ---
+
+const cityKey = (city) => city?.trim() ? `city:${city.trim().toLowerCase()}` : null;
+
+// A trip starts at the facility it was dispatched from, or failing that the city
+const originKey = (location) => {
+  if (location?.facilityId) return `facility:${location.facilityId}`;
+  return cityKey(location?.city);
+};
+
+/**
+ * Splits a package's tracking history into delivered trips, each from the scan that
+ * dispatched it to the scan that delivered it. A trip still under way is returned
+ * last with no `end`.
+ * @returns {{start: object, end: object|null}[]}
+ */
+const tripsFrom = (trackingHistory) => {
+  const trips = [];
+  let current = null;
+  let previousStatus = null;
+
+  for (const entry of trackingHistory) {
+    if (entry.status === 'dispatched' && previousStatus !== 'dispatched') {
+      current = { start: entry, end: null };
+      trips.push(current);
+    } else if (entry.status === 'delivered' && current && !current.end) {
+      current.end = entry;
+    } else if (!IN_TRANSIT_STATUSES.includes(entry.status) && entry.status !== 'delivered' && current && !current.end) {
+      trips.pop();
+      current = null;
+    }
+    previousStatus = entry.status;
+  }
+
+  return trips;
+};
+
+// The delivered scan's city, else the address of the cycle delivered at that moment
+const destinationOf = (packageData, trip) => {
+  const cycle = packageData.reuseCycles?.find(candidate => candidate.deliveredAt
+    && Math.abs(candidate.deliveredAt - trip.end.timestamp) < 60 * 1000);
+
+  return cityKey(trip.end.location?.city)
+    || cityKey(cycle?.deliveryAddress?.city)
+    || cityKey(packageData.delivery?.deliveryAddress?.city);
+};
+
+const transitHours = (trip) => (trip.end.timestamp - trip.start.timestamp) / HOUR_MS;
+
+const isLearnable = (hours) => hours > 0 && hours <= MAX_TRANSIT_HOURS;
+
+// Most specific lane with enough history: origin → destination, then any → destination, then the whole network
+const findLane = async (origin, destination) => {
+  const candidates = [
+    origin && destination && { origin, destination, basis: 'lane' },
+    destination && { origin: ANY_PLACE, destination, basis: 'destination' },
+    { origin: ANY_PLACE, destination: ANY_PLACE, basis: 'network' }
+  ].filter(Boolean);
+
+  const lanes = await TransitLane.find({
+    $or: candidates.map(({ origin, destination }) => ({ origin, destination })),
+    samples: { $gte: MIN_SAMPLES }
+  });
+
+  for (const candidate of candidates) {
+    const lane = lanes.find(found => found.origin === candidate.origin && found.destination === candidate.destination);
+    if (lane) return { ...lane.distribution(), basis: candidate.basis };
+  }
+
+  return { mean: Math.log(DEFAULT_TRANSIT_HOURS), sd: DEFAULT_SPREAD, samples: 0, basis: 'default' };
+};
+
+// --- Estimates ---
+
+/**
+ * Estimates when an in-transit package will be delivered. Transit times on a lane are
+ * modelled as log-normal; the estimate is conditioned on the time already spent on the
+ * way, so a package running late moves its ETA and interval forward rather than past.
+ * @returns {Promise<object|null>} eta fields as stored on `delivery.eta`, or null if the package isn't in transit
+ */
+export const estimateDelivery = async (packageData, now = new Date()) => {
+  if (!IN_TRANSIT_STATUSES.includes(packageData.status)) return null;
+
+  const trip = tripsFrom(packageData.trackingHistory).at(-1);
+  const dispatchedAt = trip && !trip.end ? trip.start.timestamp : packageData.currentCycle?.dispatchedAt;
+  if (!dispatchedAt) return null;
+
+  const origin = originKey(trip?.start.location);
+  const destination = cityKey(packageData.delivery?.deliveryAddress?.city);
+  const { mean, sd, samples, basis } = await findLane(origin, destination);
+
+  // Widen the spread for the uncertainty of the fitted mean itself
+  const spread = Math.max(sd, MIN_SPREAD) * (samples > 0 ? Math.sqrt(1 + 1 / samples) : 1);
+
+  const elapsedHours = (now - dispatchedAt) / HOUR_MS;
+  const alreadyPassed = elapsedHours > 0 ? normalCdf((Math.log(elapsedHours) - mean) / spread) : 0;
+
+  const at = (quantile) => {
+    const p = Math.min(1 - 1e-9, Math.max(1e-9, alreadyPassed + quantile * (1 - alreadyPassed)));
+    return new Date(dispatchedAt.getTime() + Math.exp(mean + spread * normalQuantile(p)) * HOUR_MS);
+  };
+
+  return {
+    expected: at(0.5),
+    lower: at((1 - CONFIDENCE) / 2),
+    upper: at((1 + CONFIDENCE) / 2),
+    confidence: CONFIDENCE,
+    basis,
+    origin,
+    destination,
+    samples,
+    estimatedAt: now
+  };
+};
+
+// Learns the trip a package just finished and keeps its final estimate on the cycle
+const recordDelivery = async (packageData) => {
+  const trip = tripsFrom(packageData.trackingHistory).at(-1);
+  const cycle = packageData.currentCycle;
+  const eta = packageData.delivery?.eta;
+
+  if (cycle && eta && !cycle.eta) {
+    cycle.eta = eta.toObject();
+    await packageData.save();
+  }
+
+  if (!trip?.end) return;
+
+  const hours = transitHours(trip);
+  if (!isLearnable(hours)) return;
+
+  await TransitLane.record(
+    originKey(trip.start.location) || ANY_PLACE,
+    destinationOf(packageData, trip) || ANY_PLACE,
+    hours,
+    trip.end.timestamp
+  );
+};
+
+/**
+ * Keeps a package's delivery estimate current after a scan or status change: refreshes
+ * `delivery.expectedDelivery` while it is in transit, and learns the trip once it is delivered.
+ * @param {object} packageData - Package document, already saved with the scan
+ * @param {string} previousStatus - Status before the scan
+ */
+export const updateEta = async (packageData, previousStatus) => {
+  if (packageData.status === 'delivered') {
+    if (previousStatus !== 'delivered') await recordDelivery(packageData);
+    return;
+  }
+
+  const estimate = await estimateDelivery(packageData);
+  if (!estimate) return;
+
+  const { expected, lower, upper } = estimate;
+  const initial = packageData.delivery.eta?.initial?.expected
+    ? packageData.delivery.eta.toObject().initial
+    : { expected, lower, upper };
+
+  packageData.delivery.eta = { ...estimate, initial };
+  packageData.delivery.expectedDelivery = expected;
+
+  await packageData.save();
+};
+
+/**
+ * Rebuilds every lane from scratch out of the tracking history of all packages,
+ * e.g. after importing history or changing ETA_MAX_TRANSIT_DAYS.
+ * @returns {Promise<{trips: number, lanes: number}>}
+ */
+export const relearnLanes = async () => {
+  const lanes = new Map();
+  let trips = 0;
+
+  const add = (origin, destination, hours, observedAt) => {
+    const key = `${origin}\u0000${destination}`;
+    const lane = lanes.get(key) || { origin, destination, samples: 0, sumLog: 0, sumLogSquares: 0, lastObservedAt: observedAt };
+    const log = Math.log(hours);
+    lane.samples += 1;
+    lane.sumLog += log;
+    lane.sumLogSquares += log * log;
+    if (observedAt > lane.lastObservedAt) lane.lastObservedAt = observedAt;
+    lanes.set(key, lane);
+  };
+
+  const cursor = Package.find({ 'trackingHistory.1': { $exists: true } })
+    .select('trackingHistory reuseCycles delivery.deliveryAddress')
+    .cursor();
+
+  for await (const packageData of cursor) {
+    for (const trip of tripsFrom(packageData.trackingHistory)) {
+      if (!trip.end) continue;
+
+      const hours = transitHours(trip);
+      if (!isLearnable(hours)) continue;
+
+      const origin = originKey(trip.start.location) || ANY_PLACE;
+      const destination = destinationOf(packageData, trip) || ANY_PLACE;
+
+      new Set([`${origin}\u0000${destination}`, `${ANY_PLACE}\u0000${destination}`, `${ANY_PLACE}\u0000${ANY_PLACE}`])
+        .forEach(key => add(...key.split('\u0000'), hours, trip.end.timestamp));
+      trips += 1;
+    }
+  }
+
+  await TransitLane.deleteMany({});
+  if (lanes.size > 0) await TransitLane.insertMany([...lanes.values()]);
+
+  return { trips, lanes: lanes.size };
+};
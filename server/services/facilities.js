@@ -0,0 +1,91 @@
+import Facility, { FACILITY_TYPES } from '../models/Facility.js';
+
+// --- Configuration ---
+// What to do with returns made outside every drop point's geofence:
+// flag (count against the return's fraud score), reject, or off
+const GEOFENCE_MODES = ['flag', 'reject', 'off'];
+export const RETURN_GEOFENCE_MODE = GEOFENCE_MODES.includes(process.env.RETURN_GEOFENCE_MODE)
+  ? process.env.RETURN_GEOFENCE_MODE
+  : 'flag';
+
+/**
+ * Whether a value is a usable [longitude, latitude] pair.
+ * [0, 0] is the placeholder new packages are created with, not a real position.
+ * @param {unknown} coordinates
+ * @returns {boolean}
+ */
+export const hasCoordinates = (coordinates) => Array.isArray(coordinates)
+  && coordinates.length === 2
+  && coordinates.every(Number.isFinite)
+  && !(coordinates[0] === 0 && coordinates[1] === 0);
+
+/**
+ * Resolves a reported location to the registered facility it falls in.
+ * Coordinates are matched against geofences; a location without coordinates may
+ * name a facility by code instead, and gets that facility's coordinates.
+ *
+ * @param {object|null|undefined} location - As sent by a scanner or customer.
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Only consider these facility types.
+ * @param {Array<import('mongoose').Types.ObjectId|null>} [options.organizations] - Organizations whose
+ *   own facilities may match, usually the package's owner and logistics partner. Platform facilities
+ *   always may; another tenant's never do.
+ * @param {string|null} [options.facilityCode] - Only this facility may match, e.g. a facility-scoped API key's.
+ * @returns {Promise<{location: object|null|undefined, facility: import('mongoose').Document|null}>}
+ *   The location with `facility` and `facilityId` filled in, and the matched facility.
+ */
+export const resolveLocation = async (location, { types = FACILITY_TYPES, organizations = [], facilityCode = null } = {}) => {
+  if (!location) return { location, facility: null };
+
+  const owners = organizations.filter(Boolean);
+
+  // Only resolution may link a location to a facility
+  const { facilityId, ...reported } = location;
+
+  let facility = null;
+  if (hasCoordinates(reported.coordinates)) {
+    facility = await Facility.findContaining(reported.coordinates, types, { organizations: owners, code: facilityCode });
+  } else if (typeof reported.facility === 'string' && reported.facility.trim()) {
+    const code = reported.facility.trim().toUpperCase();
+    if (facilityCode && code !== facilityCode.toUpperCase()) return { location: reported, facility: null };
+
+    facility = await Facility.findOne({
+      code,
+      type: { $in: types },
+      organization: { $in: [null, ...owners] },
+      isActive: true
+    });
+  }
+
+  if (!facility) return { location: reported, facility: null };
+
+  return {
+    location: {
+      ...reported,
+      type: 'Point',
+      coordinates: hasCoordinates(reported.coordinates) ? reported.coordinates : facility.location.coordinates,
+      address: reported.address || facility.address,
+      city: reported.city || facility.city,
+      state: reported.state || facility.state,
+      facility: facility.name,
+      facilityId: facility._id
+    },
+    facility
+  };
+};
+
+/**
+ * Whether a resolved location falls outside a facility-scoped API key's facility: it
+ * resolved to another facility, or its coordinates aren't inside the key's geofence.
+ * @param {string|null|undefined} facilityCode - The key's `scope.facility`.
+ * @param {object|null|undefined} location - As returned by resolveLocation.
+ * @param {import('mongoose').Document|null} facility - As returned by resolveLocation.
+ * @returns {boolean}
+ */
+export const isOutsideFacilityScope = (facilityCode, location, facility) => {
+  if (!facilityCode || !location) return false;
+  if (facility) return facility.code !== facilityCode.toUpperCase();
+  if (hasCoordinates(location.coordinates)) return true;
+  // Without coordinates only the facility named in the location counts
+  return typeof location.facility === 'string' && location.facility.trim().toUpperCase() !== facilityCode.toUpperCase();
+};
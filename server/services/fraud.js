@@ -0,0 +1,219 @@
+import User from '../models/User.js';
+import ReturnAssessment from '../models/ReturnAssessment.js';
+import { notify } from './notifications.js';
+import { hasCoordinates, RETURN_GEOFENCE_MODE } from './facilities.js';
+
+// --- Configuration ---
+// Returns scoring at least this much hold their tokens for review
+const REVIEW_THRESHOLD = parseInt(process.env.FRAUD_REVIEW_THRESHOLD, 10) || 50;
+const MAX_RETURN_DISTANCE_KM = parseFloat(process.env.FRAUD_MAX_RETURN_DISTANCE_KM) || 50;
+const MAX_SPEED_KMH = parseFloat(process.env.FRAUD_MAX_SPEED_KMH) || 900;
+const NEW_ACCOUNT_DAYS = 7;
+const BURST_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BURST_RETURNS = 3;
+const SHARED_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const SHARED_DEVICE_USERS = 1;
+const SHARED_IP_USERS = 2;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in km between two [longitude, latitude] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// --- Rules ---
+// Each rule resolves to null or { rule, score, detail }
+
+const repeatReturner = ({ packageData, user }) => {
+  const previousReturns = packageData.reuseCycles
+    .filter(cycle => cycle.return?.returnedBy?.equals(user._id))
+    .length;
+
+  if (previousReturns === 0) return null;
+
+  return {
+    rule: 'repeat_returner',
+    score: previousReturns >= 2 ? 50 : 20,
+    detail: `User already returned this package in ${previousReturns} earlier cycle(s)`
+  };
+};
+
+// Returns are expected at a drop point or near where the package was delivered
+const farFromDelivery = ({ packageData, location, dropPoint }) => {
+  if (dropPoint) return null;
+
+  const deliveryCoordinates = [
+    packageData.currentCycle?.deliveryAddress?.coordinates,
+    packageData.delivery?.deliveryAddress?.coordinates
+  ].find(hasCoordinates);
+
+  if (!hasCoordinates(location?.coordinates) || !deliveryCoordinates) return null;
+
+  const distance = distanceKm(location.coordinates, deliveryCoordinates);
+  if (distance <= MAX_RETURN_DISTANCE_KM) return null;
+
+  return {
+    rule: 'far_from_delivery',
+    score: 35,
+    detail: `Returned ${Math.round(distance)} km from the delivery address and outside any drop point`
+  };
+};
+
+const outsideDropPoint = ({ dropPoint }) => {
+  if (dropPoint || RETURN_GEOFENCE_MODE !== 'flag') return null;
+
+  return {
+    rule: 'outside_drop_point',
+    score: 30,
+    detail: 'Returned outside every registered drop point geofence'
+  };
+};
+
+const impossibleVelocity = ({ packageData, location }) => {
+  const since = packageData.currentCycle?.dispatchedAt || new Date(0);
+
+  const points = packageData.trackingHistory
+    .filter(entry => entry.timestamp >= since && hasCoordinates(entry.location?.coordinates))
+    .map(entry => ({ coordinates: entry.location.coordinates, at: entry.timestamp.getTime() }));
+
+  if (hasCoordinates(location?.coordinates)) {
+    points.push({ coordinates: location.coordinates, at: Date.now() });
+  }
+
+  points.sort((a, b) => a.at - b.at);
+
+  let fastest = 0;
+  for (let i = 1; i < points.length; i++) {
+    const km = distanceKm(points[i - 1].coordinates, points[i].coordinates);
+    if (km < 1) continue;
+
+    const hours = (points[i].at - points[i - 1].at) / (60 * 60 * 1000);
+    fastest = Math.max(fastest, hours > 0 ? km / hours : Infinity);
+  }
+
+  if (fastest <= MAX_SPEED_KMH) return null;
+
+  return {
+    rule: 'impossible_velocity',
+    score: 40,
+    detail: Number.isFinite(fastest)
+      ? `Package moved at ${Math.round(fastest)} km/h between scans`
+      : 'Package was scanned in two distant places at the same time'
+  };
+};
+
+const newAccountBurst = async ({ user }) => {
+  const accountAgeMs = Date.now() - user.createdAt.getTime();
+  if (accountAgeMs > NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000) return null;
+
+  const recentReturns = await ReturnAssessment.countDocuments({
+    user: user._id,
+    createdAt: { $gte: new Date(Date.now() - BURST_WINDOW_MS) }
+  });
+
+  // Counting this return too
+  if (recentReturns + 1 < BURST_RETURNS) return null;
+
+  return {
+    rule: 'new_account_burst',
+    score: 30,
+    detail: `${recentReturns + 1} returns in 24 hours from an account created ${Math.floor(accountAgeMs / (24 * 60 * 60 * 1000))} day(s) ago`
+  };
+};
+
+const sharedDeviceOrIp = async ({ user, client }) => {
+  const since = new Date(Date.now() - SHARED_WINDOW_MS);
+  const signals = [];
+
+  const otherUsers = (field, value) => ReturnAssessment.distinct('user', {
+    [field]: value,
+    user: { $ne: user._id },
+    createdAt: { $gte: since }
+  });
+
+  if (client.deviceId) {
+    const users = await otherUsers('deviceId', client.deviceId);
+    if (users.length >= SHARED_DEVICE_USERS) {
+      signals.push({
+        rule: 'shared_device',
+        score: 40,
+        detail: `Device also used for returns by ${users.length} other account(s)`
+      });
+    }
+  }
+
+  if (client.ipAddress) {
+    const users = await otherUsers('ipAddress', client.ipAddress);
+    if (users.length >= SHARED_IP_USERS) {
+      signals.push({
+        rule: 'shared_ip',
+        score: 20,
+        detail: `IP address also used for returns by ${users.length} other accounts`
+      });
+    }
+  }
+
+  return signals;
+};
+
+const RULES = [repeatReturner, farFromDelivery, outsideDropPoint, impossibleVelocity, newAccountBurst, sharedDeviceOrIp];
+
+/**
+ * Scores a return before it is processed.
+ * @param {object} context
+ * @param {import('mongoose').Document} context.packageData - The package, still in its current cycle.
+ * @param {import('mongoose').Document} context.user - The user returning it.
+ * @param {object} context.location - The reported return location.
+ * @param {import('mongoose').Document|null} context.dropPoint - The drop point whose geofence contains it.
+ * @param {{ipAddress?: string, userAgent?: string, deviceId?: string}} context.client
+ * @returns {Promise<{score: number, signals: object[], held: boolean}>}
+ */
+export const assessReturn = async (context) => {
+  const results = await Promise.all(RULES.map(rule => rule(context)));
+  const signals = results.flat().filter(Boolean);
+  const score = signals.reduce((total, signal) => total + signal.score, 0);
+
+  return { score, signals, held: score >= REVIEW_THRESHOLD };
+};
+
+/**
+ * Credits a return to its user: tokens, sustainability totals, badges and notifications.
+ * @param {import('mongoose').Document} assessment - A clear or approved ReturnAssessment.
+ * @returns {Promise<import('mongoose').Document|null>} The updated user, or null if they no longer exist.
+ */
+export const creditReturn = async (assessment) => {
+  const user = await User.findById(assessment.user);
+  if (!user) return null;
+
+  const badgeCount = user.badges.length;
+  await user.addPackageReturn(assessment.carbonSaved, assessment.plasticReduced);
+  await user.addTokens(assessment.tokens, 'Package return');
+
+  assessment.creditedAt = new Date();
+  await assessment.save();
+
+  await notify(user._id, 'return_processed', {
+    packageId: assessment.packageId,
+    tokensAwarded: assessment.tokens,
+    carbonSaved: assessment.carbonSaved
+  });
+  await notify(user._id, 'tokens_earned', {
+    amount: assessment.tokens,
+    reason: 'Package return',
+    balance: user.tokenBalance
+  });
+  for (const badge of user.badges.slice(badgeCount)) {
+    await notify(user._id, 'badge_unlocked', {
+      name: badge.name,
+      description: badge.description,
+      icon: badge.icon
+    });
+  }
+
+  return user;
+};
@@ -1,5 +1,7 @@
 import mqtt from 'mqtt';
 import { EventEmitter } from 'events';
+import Package from '../models/Package.js';
+import Device from '../models/Device.js';
 
 // --- Configuration ---
 // These should be moved to environment variables or a dedicated config file
@@ -11,6 +13,16 @@ const TELEMETRY_TOPIC = 'iot/+/telemetry'; // Topic for sensor data, e.g., iot/d
 const STATUS_TOPIC = 'iot/+/status';     // Topic for device status, e.g., iot/device123/status
 const NFC_SCAN_TOPIC = 'iot/+/nfc';       // Topic for NFC scans, e.g., iot/reader-abc/nfc
 
+// Telemetry fields copied onto a package's iotData (message field -> package field)
+const PACKAGE_TELEMETRY_FIELDS = {
+    temperature: 'temperature',
+    humidity: 'humidity',
+    shock: 'shock',
+    light: 'light',
+    battery: 'batteryLevel',
+    signal: 'signalStrength'
+};
+
 // In-memory storage for device data and status
 const iotDevices = new Map();
 const sensorData = new Map();
@@ -112,6 +124,64 @@ function storeSensorData(deviceId, data) {
     }
     
     iotEvents.emit('telemetry', { deviceId, ...telemetry });
+
+    applyPackageTelemetry(deviceId, data).catch(error => {
+        console.error(`Could not apply telemetry from ${deviceId} to packages:`, error);
+    });
+}
+
+/**
+ * Records a telemetry message on the packages it belongs to, which evaluates it against
+ * their handling limits. A message may name its package (`packageId` or `rfidTag`) if the
+ * device is attached to it or registered to the package's seller or logistics organization;
+ * otherwise it goes to the active packages the device is attached to (iotData.deviceId).
+ */
+async function applyPackageTelemetry(deviceId, data) {
+    const reading = {};
+    Object.entries(PACKAGE_TELEMETRY_FIELDS).forEach(([field, packageField]) => {
+        if (Number.isFinite(data[field])) reading[packageField] = data[field];
+    });
+    if (Object.keys(reading).length === 0) return;
+
+    const named = data.packageId ? { packageId: String(data.packageId).toUpperCase() }
+        : data.rfidTag ? { rfidTag: String(data.rfidTag).toUpperCase() }
+        : null;
+
+    let target = { 'iotData.deviceId': deviceId };
+    if (named) {
+        const device = await Device.findOne({ deviceId }).select('organization').lean();
+        const organization = device?.organization;
+        target = {
+            ...named,
+            $or: [
+                { 'iotData.deviceId': deviceId },
+                ...(organization ? [{ organization }, { 'delivery.logisticsOrganization': organization }] : [])
+            ]
+        };
+    }
+
+    const packages = await Package.find({
+        ...target,
+        status: { $nin: ['recycled', 'lost'] },
+        isActive: true
+    });
+
+    for (const packageData of packages) {
+        const violationsBefore = packageData.compliance.violations.length;
+        await packageData.updateIoTData(reading, { source: 'mqtt', deviceId });
+
+        packageData.compliance.violations.slice(violationsBefore).forEach(violation => {
+            iotEvents.emit('compliance_violation', {
+                deviceId,
+                packageId: packageData.packageId,
+                metric: violation.metric,
+                bound: violation.bound,
+                threshold: violation.threshold,
+                value: violation.peak,
+                timestamp: violation.startedAt.toISOString()
+            });
+        });
+    }
 }
 
 function updateDeviceStatus(deviceId, status) {
@@ -156,8 +226,10 @@ export const getDeviceStatus = (deviceId) => {
   return iotDevices.get(deviceId);
 };
 
-export const getAllDevices = () => {
-  return Array.from(iotDevices.values());
+// Pass a set of device IDs to restrict the result to those devices
+export const getAllDevices = (deviceIds = null) => {
+  const devices = Array.from(iotDevices.values());
+  return deviceIds ? devices.filter(d => deviceIds.has(d.id)) : devices;
 };
 
 export const getSensorHistory = (deviceId, limit = 50) => {
@@ -165,8 +237,8 @@ export const getSensorHistory = (deviceId, limit = 50) => {
   return deviceHistory.slice(-limit);
 };
 
-export const getNetworkHealth = () => {
-    const devices = Array.from(iotDevices.values());
+export const getNetworkHealth = (deviceIds = null) => {
+    const devices = getAllDevices(deviceIds);
     if (devices.length === 0) {
         return {
             totalDevices: 0,
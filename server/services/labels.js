@@ -0,0 +1,275 @@
+import archiver from 'archiver';
+import bwipjs from 'bwip-js';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import { LABEL_TEMPLATES } from '../config/labelTemplates.js';
+import { appLink, escapeHtml } from './mail.js';
+
+// --- Configuration ---
+export const DEFAULT_LABEL_SIZE = LABEL_TEMPLATES[process.env.LABEL_DEFAULT_SIZE] ? process.env.LABEL_DEFAULT_SIZE : '4x6';
+// 203 dpi is what most thermal label printers print at
+export const DEFAULT_LABEL_DPI = parseInt(process.env.LABEL_DPI, 10) || 203;
+export const MAX_LABEL_BATCH = parseInt(process.env.LABEL_BATCH_MAX, 10) || 200;
+
+const MM_PER_INCH = 25.4;
+const FONT = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+
+// Layout rows as shares of the printable height; what's left over becomes the gaps
+const ROWS = { header: 0.06, packageId: 0.09, qr: 0.36, material: 0.07, icons: 0.16, barcode: 0.16, url: 0.04 };
+
+// Resin identification (plastics) and EU material codes shown in the recycling icon
+const PLASTIC_CODES = [
+  { pattern: /\bhdpe\b/i, code: 2, abbreviation: 'HDPE' },
+  { pattern: /\bldpe\b/i, code: 4, abbreviation: 'LDPE' },
+  { pattern: /\bpete?\b/i, code: 1, abbreviation: 'PET' },
+  { pattern: /\bpvc\b/i, code: 3, abbreviation: 'PVC' },
+  { pattern: /\bpp\b|polypropylene/i, code: 5, abbreviation: 'PP' },
+  { pattern: /\bps\b|polystyrene/i, code: 6, abbreviation: 'PS' }
+];
+const TYPE_CODES = {
+  cardboard: { code: 20, abbreviation: 'PAP' },
+  paper: { code: 22, abbreviation: 'PAP' },
+  fabric: { code: 60, abbreviation: 'TEX' },
+  composite: { code: 81, abbreviation: 'C/PAP' }
+};
+
+/**
+ * Looks up a label size: a named template, or a custom width and height in mm.
+ * @param {object} options
+ * @param {string} [options.size] - A name from config/labelTemplates.js.
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {{name: string, width: number, height: number}}
+ */
+export const getLabelSize = ({ size, width, height } = {}) => {
+  if (width && height) return { name: `${width}x${height}mm`, width, height };
+
+  const name = size || DEFAULT_LABEL_SIZE;
+  return { name, ...LABEL_TEMPLATES[name] };
+};
+
+const materialCode = (packageData) => {
+  if (packageData.type === 'plastic') {
+    return PLASTIC_CODES.find(({ pattern }) => pattern.test(packageData.material))
+      || { code: 7, abbreviation: 'O' };
+  }
+  return TYPE_CODES[packageData.type] || null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Places a standalone SVG (QR code, barcode) inside the label
+const embedSvg = (svg, { x, y, width, height }) => svg.replace(
+  '<svg ',
+  `<svg x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" preserveAspectRatio="xMidYMid meet" `
+);
+
+const text = (content, { x, y, size, anchor = 'middle', weight = 'normal', family = FONT }) =>
+  `<text x="${round(x)}" y="${round(y)}" font-family="${family}" font-size="${round(size)}" font-weight="${weight}" text-anchor="${anchor}" dominant-baseline="central">${escapeHtml(content)}</text>`;
+
+// Shortens text to roughly what fits in `width` at `size`
+const fit = (content, width, size) => {
+  const maxChars = Math.floor(width / (size * 0.5));
+  return content.length > maxChars ? `${content.slice(0, Math.max(maxChars - 1, 1))}…` : content;
+};
+
+// --- Icons ---
+// Drawn on a 24x24 grid so they don't depend on fonts being installed on the printer host
+
+const stroke = (width = 1.6) => `fill="none" stroke="#000" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"`;
+
+// Triangle of chasing arrows, with the material code inside
+const recycleIcon = (code) => {
+  const corners = [[12, 2.5], [21.5, 19.5], [2.5, 19.5]];
+  const arrowheads = corners.map((from, index) => {
+    const to = corners[(index + 1) % 3];
+    const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    const [dx, dy] = [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+    const [mx, my] = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+    const points = [
+      [mx + dx * 2, my + dy * 2],
+      [mx - dx * 1.5 - dy * 2, my - dy * 1.5 + dx * 2],
+      [mx - dx * 1.5 + dy * 2, my - dy * 1.5 - dx * 2]
+    ];
+    return `<polygon points="${points.map(point => point.map(round).join(',')).join(' ')}" fill="#000"/>`;
+  });
+
+  return `<path d="M12 2.5 L21.5 19.5 L2.5 19.5 Z" ${stroke()}/>${arrowheads.join('')}`
+    + (code ? text(String(code), { x: 12, y: 14, size: 6.5, weight: 'bold' }) : '');
+};
+
+const notRecyclableIcon = () => `${recycleIcon(null)}<path d="M3 3 L21 21" ${stroke(2.2)}/>`;
+
+const biodegradableIcon = () => `<path d="M4 20 C4 10 10 4 20 4 C20 14 14 20 4 20 Z" ${stroke()}/><path d="M4 20 L14 10" ${stroke()}/>`;
+
+const reusableIcon = () => `<path d="M19 12 A7 7 0 1 1 12 5" ${stroke()}/><polygon points="11,1.5 16,5 11,8.5" fill="#000"/>`;
+
+const labelIcons = (packageData) => {
+  const code = materialCode(packageData);
+  const icons = [];
+
+  if (packageData.sustainability?.recyclable !== false) {
+    icons.push({ svg: recycleIcon(code?.code), caption: code ? `${code.abbreviation} ${code.code}` : 'Recyclable' });
+  } else {
+    icons.push({ svg: notRecyclableIcon(), caption: 'Not recyclable' });
+  }
+  if (packageData.sustainability?.biodegradable) {
+    icons.push({ svg: biodegradableIcon(), caption: 'Biodegradable' });
+  }
+  icons.push({ svg: reusableIcon(), caption: 'Return & reuse' });
+
+  return icons;
+};
+
+const barcodeSvg = (rfidTag) => {
+  // Code128 only covers printable ASCII
+  if (!/^[\x20-\x7e]+$/.test(rfidTag)) return null;
+
+  return bwipjs.toSVG({
+    bcid: 'code128',
+    text: rfidTag,
+    height: 12,
+    includetext: true,
+    textxalign: 'center'
+  });
+};
+
+/**
+ * Renders one package label as a standalone SVG document.
+ * @param {object} packageData - A package (document or plain object).
+ * @param {{width: number, height: number}} size - Label size in mm, see getLabelSize.
+ * @returns {Promise<string>}
+ */
+export const renderLabelSvg = async (packageData, { width, height }) => {
+  const margin = Math.max(3, width * 0.04);
+  const contentWidth = width - margin * 2;
+  const contentHeight = height - margin * 2;
+  const rowTotal = Object.values(ROWS).reduce((sum, share) => sum + share, 0);
+  const gap = (contentHeight * (1 - rowTotal)) / (Object.keys(ROWS).length - 1);
+  const centerX = width / 2;
+
+  // Top of each row, in order
+  const rows = {};
+  let top = margin;
+  Object.entries(ROWS).forEach(([row, share]) => {
+    rows[row] = { top, height: contentHeight * share };
+    top += contentHeight * share + gap;
+  });
+
+  const trackingUrl = appLink(`/track/${packageData.packageId}`);
+  const parts = [];
+
+  // Header
+  const header = rows.header;
+  const headerSize = header.height * 0.7;
+  parts.push(text('PackChain', { x: margin, y: header.top + header.height / 2, size: headerSize, anchor: 'start', weight: 'bold' }));
+  parts.push(text(packageData.type.toUpperCase(), { x: width - margin, y: header.top + header.height / 2, size: headerSize * 0.8, anchor: 'end' }));
+  parts.push(`<line x1="${round(margin)}" y1="${round(header.top + header.height + gap / 2)}" x2="${round(width - margin)}" y2="${round(header.top + header.height + gap / 2)}" stroke="#000" stroke-width="0.4"/>`);
+
+  // Package ID
+  const idRow = rows.packageId;
+  const idSize = Math.min(idRow.height * 0.7, contentWidth / (packageData.packageId.length * 0.62));
+  parts.push(text(packageData.packageId, { x: centerX, y: idRow.top + idRow.height / 2, size: idSize, weight: 'bold', family: 'DejaVu Sans Mono, Courier New, monospace' }));
+
+  // QR code linking to the tracking page
+  const qrSize = Math.min(contentWidth * 0.8, rows.qr.height);
+  const qr = await QRCode.toString(trackingUrl, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+  parts.push(embedSvg(qr, { x: centerX - qrSize / 2, y: rows.qr.top + (rows.qr.height - qrSize) / 2, width: qrSize, height: qrSize }));
+
+  // Material
+  const materialRow = rows.material;
+  const materialSize = materialRow.height * 0.55;
+  parts.push(text(fit(`Material: ${packageData.material}`, contentWidth, materialSize), { x: centerX, y: materialRow.top + materialRow.height / 2, size: materialSize }));
+
+  // Recyclability icons, side by side with a caption under each
+  const icons = labelIcons(packageData);
+  const iconRow = rows.icons;
+  const iconSize = iconRow.height * 0.72;
+  const captionSize = iconRow.height * 0.14;
+  const slotWidth = contentWidth / icons.length;
+  icons.forEach((icon, index) => {
+    const slotCenter = margin + slotWidth * (index + 0.5);
+    parts.push(`<g transform="translate(${round(slotCenter - iconSize / 2)} ${round(iconRow.top)}) scale(${round(iconSize / 24)})">${icon.svg}</g>`);
+    parts.push(text(fit(icon.caption, slotWidth, captionSize), { x: slotCenter, y: iconRow.top + iconSize + captionSize, size: captionSize }));
+  });
+
+  // Code128 of the RFID tag
+  const barcode = barcodeSvg(packageData.rfidTag);
+  if (barcode) {
+    parts.push(embedSvg(barcode, { x: margin, y: rows.barcode.top, width: contentWidth, height: rows.barcode.height }));
+  } else {
+    parts.push(text(packageData.rfidTag, { x: centerX, y: rows.barcode.top + rows.barcode.height / 2, size: rows.barcode.height * 0.3 }));
+  }
+
+  // Tracking URL for anyone without a scanner
+  const urlSize = rows.url.height * 0.7;
+  parts.push(text(fit(trackingUrl, contentWidth, urlSize), { x: centerX, y: rows.url.top + rows.url.height / 2, size: urlSize }));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">
+<rect width="${width}" height="${height}" fill="#fff"/>
+${parts.join('\n')}
+</svg>
+`;
+};
+
+/**
+ * Renders one package label as a PNG.
+ * @param {object} packageData
+ * @param {{width: number, height: number}} size - Label size in mm.
+ * @param {number} [dpi]
+ * @returns {Promise<Buffer>}
+ */
+export const renderLabelPng = async (packageData, size, dpi = DEFAULT_LABEL_DPI) => {
+  const svg = await renderLabelSvg(packageData, size);
+  return sharp(Buffer.from(svg), { density: dpi }).png().toBuffer();
+};
+
+/**
+ * Streams labels as a PDF with one page per package, sized to the label stock.
+ * @param {object[]} packages
+ * @param {{width: number, height: number}} size - Label size in mm.
+ * @param {number} dpi - Resolution the labels are rasterized at.
+ * @param {import('stream').Writable} output - Usually the HTTP response.
+ * @returns {Promise<void>}
+ */
+export const writeLabelPdf = async (packages, size, dpi, output) => {
+  const points = (mm) => (mm / MM_PER_INCH) * 72;
+  const doc = new PDFDocument({ autoFirstPage: false, info: { Title: 'PackChain labels' } });
+  const finished = new Promise(resolve => doc.on('end', resolve));
+  doc.pipe(output);
+
+  for (const packageData of packages) {
+    const png = await renderLabelPng(packageData, size, dpi);
+    doc.addPage({ size: [points(size.width), points(size.height)], margin: 0 });
+    doc.image(png, 0, 0, { width: points(size.width), height: points(size.height) });
+  }
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Streams labels as a ZIP archive with one SVG or PNG per package.
+ * @param {object[]} packages
+ * @param {object} options
+ * @param {'svg'|'png'} options.format
+ * @param {{width: number, height: number}} options.size - Label size in mm.
+ * @param {number} options.dpi - PNG resolution.
+ * @param {import('stream').Writable} output - Usually the HTTP response.
+ * @returns {Promise<void>}
+ */
+export const writeLabelArchive = async (packages, { format, size, dpi }, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  for (const packageData of packages) {
+    const content = format === 'png'
+      ? await renderLabelPng(packageData, size, dpi)
+      : await renderLabelSvg(packageData, size);
+    archive.append(content, { name: `${packageData.packageId}.${format}` });
+  }
+
+  return archive.finalize();
+};
@@ -0,0 +1,123 @@
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+
+// --- Configuration ---
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3;
+const MAX_DELAY_SECONDS = 30;
+const LOCK_AFTER_FAILURES = parseInt(process.env.LOGIN_LOCK_AFTER_FAILURES, 10) || 10;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Checks whether a login attempt for this account may be evaluated right now.
+ * @param {import('mongoose').Document} user - The account being signed in to.
+ * @returns {{allowed: boolean, reason?: 'locked'|'throttled', retryAfter?: number}}
+ *   retryAfter is in seconds.
+ */
+export const checkLoginAllowed = (user) => {
+  const { lockedUntil, nextAttemptAt } = user.loginSecurity || {};
+
+  if (lockedUntil && lockedUntil.getTime() > Date.now()) {
+    return { allowed: false, reason: 'locked', retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  if (nextAttemptAt && nextAttemptAt.getTime() > Date.now()) {
+    return { allowed: false, reason: 'throttled', retryAfter: secondsUntil(nextAttemptAt) };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Records a failed password or 2FA attempt, applying progressive delays and
+ * locking the account once the failure threshold is reached.
+ * @param {import('mongoose').Document} user - The account being signed in to.
+ * @param {import('express').Request} req - Used to record the client's IP and user agent.
+ * @param {string} [reason] - Which factor failed, e.g. 'password' or '2fa'.
+ * @returns {Promise<{locked: boolean, retryAfter?: number}>}
+ */
+export const recordFailedLogin = async (user, req, reason = 'password') => {
+  // Increment atomically so parallel guesses from many IPs are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  );
+
+  const { failedAttempts, lockCount } = updated.loginSecurity;
+
+  await SecurityEvent.record('login_failed', user._id, req, { reason, failedAttempts });
+
+  if (failedAttempts >= LOCK_AFTER_FAILURES) {
+    const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES);
+    const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    await User.findByIdAndUpdate(user._id, {
+      $set: {
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.nextAttemptAt': null
+      },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    });
+
+    await SecurityEvent.record('account_locked', user._id, req, {
+      reason,
+      lockedUntil,
+      lockMinutes,
+      lockCount: lockCount + 1
+    });
+    console.warn(`Account ${user._id} locked for ${lockMinutes} minutes after ${failedAttempts} failed attempts`);
+
+    return { locked: true, retryAfter: lockMinutes * 60 };
+  }
+
+  if (failedAttempts >= DELAY_AFTER_FAILURES) {
+    const delaySeconds = Math.min(2 ** (failedAttempts - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+    await User.findByIdAndUpdate(user._id, {
+      'loginSecurity.nextAttemptAt': new Date(Date.now() + delaySeconds * 1000)
+    });
+    return { locked: false, retryAfter: delaySeconds };
+  }
+
+  return { locked: false };
+};
+
+/**
+ * Clears failure counters after a fully successful login.
+ * @param {import('mongoose').Types.ObjectId} userId
+ * @returns {Promise<void>}
+ */
+export const resetFailedLogins = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      'loginSecurity.failedAttempts': 0,
+      'loginSecurity.lockCount': 0,
+      'loginSecurity.nextAttemptAt': null,
+      'loginSecurity.lockedUntil': null
+    }
+  });
+};
+
+/**
+ * Lifts a lockout on behalf of an admin and records who did it.
+ * @param {import('mongoose').Types.ObjectId} userId - The locked account.
+ * @param {import('mongoose').Types.ObjectId} adminId - The admin performing the unlock.
+ * @param {import('express').Request} req - Used to record the admin's IP and user agent.
+ * @returns {Promise<import('mongoose').Document|null>} The updated user, or null if not found.
+ */
+export const unlockAccount = async (userId, adminId, req) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const wasLocked = user.isLocked;
+  await resetFailedLogins(user._id);
+  await SecurityEvent.record('account_unlocked', user._id, req, { wasLocked }, adminId);
+
+  return User.findById(user._id).select('-password');
+};
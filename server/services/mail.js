@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import MailOutbox from '../models/MailOutbox.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Configuration ---
+// MAIL_TRANSPORT selects one of the transports below; development defaults to writing files
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+const MAIL_FROM = process.env.MAIL_FROM || 'PackChain <no-reply@packchain.local>';
+const MAIL_OUTBOX_DIR = path.resolve(__dirname, '..', process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:8080';
+
+let smtpTransporter;
+
+/**
+ * A transport receives a fully built message and delivers it somewhere.
+ * @callback MailTransport
+ * @param {{from: string, to: string, subject: string, text?: string, html?: string, category?: string}} message
+ * @returns {Promise<void>}
+ */
+
+/** @type {Map<string, MailTransport>} */
+const transports = new Map();
+
+transports.set('console', async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+});
+
+transports.set('file', async (message) => {
+  await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const fileName = `${Date.now()}-${safeRecipient}.json`;
+  await fs.writeFile(
+    path.join(MAIL_OUTBOX_DIR, fileName),
+    JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+  );
+});
+
+transports.set('outbox', async (message) => {
+  await MailOutbox.create(message);
+});
+
+transports.set('smtp', async (message) => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+  }
+  const { category, ...mail } = message;
+  await smtpTransporter.sendMail(mail);
+});
+
+/**
+ * Registers (or replaces) a named transport, e.g. for a third-party mail API.
+ * @param {string} name - The value of MAIL_TRANSPORT that selects this transport.
+ * @param {MailTransport} transport - The delivery function.
+ */
+export const registerTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} options
+ * @param {string} options.to - Recipient address.
+ * @param {string} options.subject - Subject line.
+ * @param {string} options.text - Plain-text body.
+ * @param {string} [options.html] - HTML body.
+ * @param {string} [options.category] - Tag stored with outbox and file messages.
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html, category = null }) => {
+  const transport = transports.get(MAIL_TRANSPORT);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text, html, category });
+};
+
+/**
+ * Builds a link into the frontend app.
+ * @param {string} pathname - App route, e.g. '/verify-email'.
+ * @param {Record<string, string>} [params] - Query parameters.
+ * @returns {string}
+ */
+export const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, APP_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// --- Templates ---
+
+export const sendVerificationEmail = (user, token, expiresInHours) => {
+  const link = appLink('/verify-email', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your PackChain email address',
+    category: 'email_verification',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address to start earning Green Tokens:\n${link}\n\nThis link expires in ${expiresInHours} hours. If you did not create a PackChain account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address to start earning Green Tokens:</p><p><a href="${escapeHtml(link)}">Verify email address</a></p><p>This link expires in ${expiresInHours} hours. If you did not create a PackChain account, you can ignore this email.</p>`
+  });
+};
+
+export const sendInvitationEmail = ({ email, role, inviterName, organizationName }, token, expiresInDays) => {
+  const link = appLink('/accept-invite', { token });
+  const team = organizationName ? ` at ${organizationName}` : '';
+  return sendMail({
+    to: email,
+    subject: `You're invited to join PackChain${team}`,
+    category: 'invitation',
+    text: `Hi,\n\n${inviterName} invited you to join PackChain${team} as ${role}. Create your account here:\n${link}\n\nThis invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviterName)} invited you to join PackChain${escapeHtml(team)} as ${escapeHtml(role)}.</p><p><a href="${escapeHtml(link)}">Accept invitation</a></p><p>This invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.</p>`
+  });
+};
+
+export const sendErasureConfirmationEmail = (user, token, expiresInHours) => {
+  const link = appLink('/confirm-erasure', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm deletion of your PackChain account',
+    category: 'account_erasure',
+    text: `Hi ${user.firstName},\n\nWe received a request to delete your PackChain account. Once confirmed, your personal details are permanently removed and you will no longer be able to sign in or use your Green Tokens. Confirm here:\n${link}\n\nThis link expires in ${expiresInHours} hours. If you did not ask for this, change your password.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to delete your PackChain account. Once confirmed, your personal details are permanently removed and you will no longer be able to sign in or use your Green Tokens.</p><p><a href="${escapeHtml(link)}">Delete my account</a></p><p>This link expires in ${expiresInHours} hours. If you did not ask for this, change your password.</p>`
+  });
+};
+
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = appLink('/reset-password', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your PackChain password',
+    category: 'password_reset',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your PackChain password. Use the link below to choose a new one:\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your PackChain password. Use the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.</p>`
+  });
+};
@@ -0,0 +1,330 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import webpush from 'web-push';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import PushSubscription from '../models/PushSubscription.js';
+import { sendMail, appLink, escapeHtml } from './mail.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Configuration ---
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// Adapter used for each channel; 'file' and 'console' are local stand-ins for development
+const CHANNEL_ADAPTERS = {
+  email: process.env.NOTIFY_EMAIL_ADAPTER || 'mail',
+  push: process.env.NOTIFY_PUSH_ADAPTER || (IS_PRODUCTION ? 'webpush' : 'file'),
+  sms: process.env.NOTIFY_SMS_ADAPTER || (IS_PRODUCTION ? 'twilio' : 'file')
+};
+const NOTIFY_OUTBOX_DIR = path.resolve(__dirname, '..', process.env.NOTIFY_OUTBOX_DIR || 'notification-outbox');
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:no-reply@packchain.local';
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 60 * 1000; // 1m, 4m, 16m, 64m between attempts
+const SEND_LOCK_MS = 5 * 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+// --- Templates ---
+
+// Each template renders event data into a title, a short body and a link into the app
+const templates = {
+  return_processed: ({ packageId, tokensAwarded, carbonSaved }) => ({
+    title: 'Return received',
+    body: `Thanks for returning package ${packageId}! You earned ${tokensAwarded} Green Tokens and saved ${carbonSaved} kg of CO₂.`,
+    url: appLink('/dashboard')
+  }),
+  tokens_earned: ({ amount, reason, balance }) => ({
+    title: `+${amount} Green Tokens`,
+    body: `${reason}: you earned ${amount} tokens. Your balance is now ${balance}.`,
+    url: appLink('/rewards')
+  }),
+  badge_unlocked: ({ name, description, icon = '' }) => ({
+    title: `Badge unlocked: ${name}`,
+    body: `${icon ? `${icon} ` : ''}${description}`,
+    url: appLink('/profile')
+  }),
+  package_delivered: ({ packageId }) => ({
+    title: 'Package delivered',
+    body: `Your package ${packageId} has been delivered. Return the packaging to earn Green Tokens.`,
+    url: appLink(`/track/${packageId}`)
+  })
+};
+
+const renderEmail = (user, { title, body, url }) => ({
+  subject: title,
+  text: `Hi ${user.firstName},\n\n${body}\n\n${url}\n\nYou can change which notifications you receive in your profile settings.`,
+  html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>${escapeHtml(body)}</p><p><a href="${escapeHtml(url)}">Open PackChain</a></p><p>You can change which notifications you receive in your profile settings.</p>`
+});
+
+// --- Channel adapters ---
+
+/**
+ * An adapter delivers one notification over its channel. Throwing marks the attempt
+ * as failed so it is retried later.
+ * @callback ChannelAdapter
+ * @param {import('mongoose').Document} notification
+ * @param {import('mongoose').Document} user
+ * @returns {Promise<void>}
+ */
+
+/** @type {Map<string, ChannelAdapter>} */
+const adapters = new Map();
+
+adapters.set('console', async (notification, user) => {
+  console.log(`🔔 ${notification.channel} to ${user.username}: ${notification.content.title} - ${notification.content.body}`);
+});
+
+adapters.set('file', async (notification, user) => {
+  await fs.mkdir(NOTIFY_OUTBOX_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${notification.channel}-${notification._id}.json`;
+  await fs.writeFile(
+    path.join(NOTIFY_OUTBOX_DIR, fileName),
+    JSON.stringify({
+      channel: notification.channel,
+      event: notification.event,
+      to: { id: user._id, email: user.email, phone: user.phone },
+      content: notification.content,
+      createdAt: new Date().toISOString()
+    }, null, 2)
+  );
+});
+
+adapters.set('mail', async (notification, user) => {
+  const { subject, text, html } = notification.content.email;
+  await sendMail({ to: user.email, subject, text, html, category: `notification:${notification.event}` });
+});
+
+adapters.set('webpush', async (notification, user) => {
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    throw new Error('Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)');
+  }
+
+  const subscriptions = await PushSubscription.find({ user: user._id });
+  const payload = JSON.stringify({
+    title: notification.content.title,
+    body: notification.content.body,
+    url: notification.content.url
+  });
+
+  const results = await Promise.allSettled(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+    } catch (error) {
+      // The browser unsubscribed; forget the endpoint rather than retrying it
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await subscription.deleteOne();
+        return;
+      }
+      throw error;
+    }
+  }));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length > 0 && failed.length === results.length) {
+    throw failed[0].reason;
+  }
+});
+
+adapters.set('twilio', async (notification, user) => {
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+    throw new Error('SMS is not configured (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM_NUMBER)');
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      From: TWILIO_FROM_NUMBER,
+      To: user.phone,
+      Body: `PackChain: ${notification.content.body}`
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Twilio responded ${response.status}: ${await response.text()}`);
+  }
+});
+
+/**
+ * Registers (or replaces) a named channel adapter, e.g. for another SMS provider.
+ * @param {string} name - The value of NOTIFY_<CHANNEL>_ADAPTER that selects this adapter.
+ * @param {ChannelAdapter} adapter - The delivery function.
+ */
+export const registerChannelAdapter = (name, adapter) => {
+  adapters.set(name, adapter);
+};
+
+export const getVapidPublicKey = () => VAPID_PUBLIC_KEY || null;
+
+// Channels the user opted into and can actually be reached on
+const reachableChannels = async (user) => {
+  const preferences = user.preferences?.notifications || {};
+  const channels = [];
+
+  if (preferences.email && user.isVerified) channels.push('email');
+  if (preferences.push && await PushSubscription.exists({ user: user._id })) channels.push('push');
+  if (preferences.sms && user.phone) channels.push('sms');
+
+  return channels;
+};
+
+// --- Outbox ---
+
+let draining = false;
+
+const deliver = async (notification) => {
+  const adapterName = CHANNEL_ADAPTERS[notification.channel];
+  const adapter = adapters.get(adapterName);
+  if (!adapter) {
+    throw new Error(`Unknown ${notification.channel} adapter: ${adapterName}`);
+  }
+
+  const user = await User.findById(notification.user);
+  if (!user || !user.isActive) {
+    throw new Error('Recipient no longer exists or is inactive');
+  }
+
+  await adapter(notification, user);
+};
+
+/**
+ * Sends every due notification in the outbox, scheduling retries with exponential
+ * backoff and giving up after MAX_ATTEMPTS.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const processOutbox = async () => {
+  if (draining) return { sent: 0, failed: 0 };
+  draining = true;
+
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const now = new Date();
+      const notification = await Notification.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          status: 'sending',
+          lockedUntil: new Date(now.getTime() + SEND_LOCK_MS),
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+
+      if (!notification) break;
+
+      try {
+        await deliver(notification);
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.lastError = undefined;
+        sent += 1;
+      } catch (error) {
+        notification.lastError = error.message;
+        if (notification.attempts >= MAX_ATTEMPTS) {
+          notification.status = 'failed';
+          failed += 1;
+        } else {
+          notification.status = 'pending';
+          notification.nextAttemptAt = new Date(Date.now() + BASE_RETRY_MS * 4 ** (notification.attempts - 1));
+        }
+      }
+
+      notification.lockedUntil = undefined;
+      await notification.save();
+    }
+  } finally {
+    draining = false;
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Queues an event for a user on every channel they opted into and starts sending.
+ * Never throws: a notification problem must not fail the action that caused it.
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @param {string} event - One of NOTIFICATION_EVENTS.
+ * @param {object} data - Template data for the event.
+ * @returns {Promise<number>} How many notifications were queued.
+ */
+export const notify = async (userId, event, data = {}) => {
+  try {
+    const template = templates[event];
+    if (!template) throw new Error(`Unknown notification event: ${event}`);
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) return 0;
+
+    const channels = await reachableChannels(user);
+    if (channels.length === 0) return 0;
+
+    const content = template(data);
+    await Notification.insertMany(channels.map(channel => ({
+      user: user._id,
+      event,
+      channel,
+      content: channel === 'email' ? { ...content, email: renderEmail(user, content) } : content,
+      data
+    })));
+
+    setImmediate(() => {
+      processOutbox().catch(error => console.error('Notification outbox error:', error));
+    });
+
+    return channels.length;
+  } catch (error) {
+    console.error(`Failed to queue ${event} notification:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Lets the customer know once a package first reaches them.
+ * @param {import('mongoose').Document} packageData - The package after its status update.
+ * @param {string} previousStatus - Its status before the update.
+ * @returns {Promise<void>}
+ */
+export const notifyDelivered = async (packageData, previousStatus) => {
+  if (packageData.status !== 'delivered' || previousStatus === 'delivered') return;
+  if (!packageData.delivery?.customerId) return;
+
+  await notify(packageData.delivery.customerId, 'package_delivered', {
+    packageId: packageData.packageId
+  });
+};
+
+/**
+ * Periodically drains the outbox so retries go out even when no new events arrive.
+ * @returns {NodeJS.Timeout}
+ */
+export const startNotificationWorker = () => {
+  const timer = setInterval(() => {
+    processOutbox().catch(error => console.error('Notification outbox error:', error));
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+
+// --- Configuration ---
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET; // unset for public clients (PKCE only)
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI
+  || `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+// Users whose groups map to no role are turned away unless a default role is set
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || null;
+// Provisioned users join this organization (by slug) if they don't belong to one yet
+const OIDC_ORGANIZATION_SLUG = process.env.OIDC_ORGANIZATION_SLUG || null;
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Lowest to highest privilege; when several groups match, the highest role wins
+const ROLE_RANK = ['customer', 'seller', 'logistics', 'admin'];
+
+// OIDC_ROLE_MAPPING="idp-group:role,other-group:role"
+const ROLE_MAPPING = (process.env.OIDC_ROLE_MAPPING || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .reduce((mapping, entry) => {
+    const separator = entry.lastIndexOf(':');
+    const group = entry.slice(0, separator).trim();
+    const role = entry.slice(separator + 1).trim();
+    if (separator < 1 || !ROLE_RANK.includes(role)) {
+      throw new Error(`Invalid OIDC_ROLE_MAPPING entry: ${entry}`);
+    }
+    mapping[group] = role;
+    return mapping;
+  }, {});
+
+if (OIDC_DEFAULT_ROLE && !ROLE_RANK.includes(OIDC_DEFAULT_ROLE)) {
+  throw new Error(`Invalid OIDC_DEFAULT_ROLE: ${OIDC_DEFAULT_ROLE}`);
+}
+
+/**
+ * A single sign-on attempt that cannot complete. `code` is safe to show to the user.
+ */
+export class OidcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+let discoveryCache = null;
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+export const isOidcEnabled = () => !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+export const getOidcProviderName = () => OIDC_PROVIDER_NAME;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new OidcError('provider_error', `${url} responded ${response.status}: ${reason}`);
+  }
+  return body;
+};
+
+const getDiscovery = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_CACHE_MS) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (document.issuer.replace(/\/+$/, '') !== OIDC_ISSUER) {
+    throw new OidcError('provider_error', `Discovery issuer ${document.issuer} does not match OIDC_ISSUER`);
+  }
+
+  discoveryCache = { document, fetchedAt: Date.now() };
+  return document;
+};
+
+// Signing keys are cached by kid and refetched when an unknown kid shows up (key rotation)
+const getSigningKey = async (kid) => {
+  if (!jwksCache.keys.has(kid) && Date.now() - jwksCache.fetchedAt > JWKS_MIN_REFRESH_MS) {
+    const { jwks_uri: jwksUri } = await getDiscovery();
+    const { keys = [] } = await fetchJson(jwksUri);
+
+    jwksCache = {
+      keys: new Map(keys
+        .filter(key => !key.use || key.use === 'sig')
+        .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])),
+      fetchedAt: Date.now()
+    };
+  }
+
+  // Providers with a single key sometimes omit kid
+  const key = jwksCache.keys.get(kid) || (!kid && jwksCache.keys.size === 1 ? [...jwksCache.keys.values()][0] : null);
+  if (!key) throw new OidcError('invalid_token', `No signing key found for kid ${kid}`);
+  return key;
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new OidcError('invalid_token', 'ID token is not a valid JWT');
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [OIDC_ISSUER, `${OIDC_ISSUER}/`],
+      audience: OIDC_CLIENT_ID,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw new OidcError('invalid_token', `ID token rejected: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('invalid_token', 'ID token nonce does not match the login request');
+  }
+
+  return claims;
+};
+
+/**
+ * Starts a login: stores state, nonce and PKCE verifier, and builds the URL to send the browser to.
+ * @param {object} [options]
+ * @param {string} [options.returnTo] - Frontend path to land on afterwards.
+ * @returns {Promise<string>} Authorization URL at the identity provider.
+ */
+export const createAuthorizationUrl = async ({ returnTo = '/' } = {}) => {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await OidcLoginState.create({
+    state,
+    nonce,
+    codeVerifier,
+    returnTo,
+    expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+  });
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Finishes a login: redeems the authorization code and verifies the ID token.
+ * @param {object} params
+ * @param {string} params.state - `state` from the callback query.
+ * @param {string} params.code - Authorization code from the callback query.
+ * @returns {Promise<{claims: object, returnTo: string}>}
+ */
+export const exchangeAuthorizationCode = async ({ state, code }) => {
+  const loginState = await OidcLoginState.consume(state);
+  if (!loginState) {
+    throw new OidcError('invalid_state', 'Login request is unknown, expired or already used');
+  }
+
+  const { token_endpoint: tokenEndpoint } = await getDiscovery();
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    code_verifier: loginState.codeVerifier
+  });
+
+  if (OIDC_CLIENT_SECRET) {
+    const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', OIDC_CLIENT_ID);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, { method: 'POST', headers, body: params });
+  if (!tokens.id_token) {
+    throw new OidcError('invalid_token', 'Token response did not include an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+  return { claims, returnTo: loginState.returnTo };
+};
+
+/**
+ * Maps the identity provider's groups to a PackChain role.
+ * @param {string[]|string} groups
+ * @returns {string|null} The highest mapped role, the default role, or null.
+ */
+export const resolveRole = (groups) => {
+  const list = Array.isArray(groups) ? groups : [groups].filter(Boolean);
+  const roles = list.map(group => ROLE_MAPPING[group]).filter(Boolean);
+  if (roles.length === 0) return OIDC_DEFAULT_ROLE;
+  return roles.reduce((best, role) => (ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(best) ? role : best));
+};
+
+// Derive a free username from the IdP's preferred username or the email's local part
+const uniqueUsername = async (claims) => {
+  const base = (claims.preferred_username || claims.email.split('@')[0])
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '0');
+
+  let candidate = base;
+  while (await User.exists({ username: candidate })) {
+    candidate = `${base}-${crypto.randomInt(10000, 99999)}`;
+  }
+  return candidate;
+};
+
+/**
+ * Finds the account for a verified identity, linking an existing account by verified email
+ * or provisioning a new one. The role is re-synced from the IdP groups on every login.
+ * @param {object} claims - Verified ID token claims.
+ * @returns {Promise<{user: import('mongoose').Document, created: boolean, previousRole: string|null}>}
+ */
+export const findOrProvisionUser = async (claims) => {
+  const role = resolveRole(claims[OIDC_GROUPS_CLAIM]);
+  if (!role) {
+    throw new OidcError('no_role', 'Your identity provider groups do not grant access to PackChain');
+  }
+
+  let user = await User.findOne({ 'sso.issuer': OIDC_ISSUER, 'sso.subject': claims.sub });
+  let created = false;
+
+  if (!user) {
+    if (!claims.email) {
+      throw new OidcError('missing_email', 'The identity provider did not share an email address');
+    }
+
+    // Only link to an existing account when the IdP vouches for the address
+    user = await User.findOne({ email: claims.email.toLowerCase() });
+    if (user && claims.email_verified !== true) {
+      throw new OidcError('unverified_email', 'An account with this email exists but the email is not verified');
+    }
+
+    if (!user) {
+      user = new User({
+        username: await uniqueUsername(claims),
+        email: claims.email.toLowerCase(),
+        // Never used: SSO accounts cannot sign in with a password
+        password: crypto.randomBytes(32).toString('hex'),
+        firstName: claims.given_name || claims.name?.split(' ')[0] || 'SSO',
+        lastName: claims.family_name || claims.name?.split(' ').slice(1).join(' ') || 'User',
+        role
+      });
+      created = true;
+    }
+
+    user.sso = { issuer: OIDC_ISSUER, subject: claims.sub };
+  }
+
+  if (!user.isActive) {
+    throw new OidcError('account_deactivated', 'Your account has been deactivated. Please contact support.');
+  }
+
+  const previousRole = created ? null : user.role;
+  user.role = role;
+  if (claims.email_verified === true) user.isVerified = true;
+  if (claims.given_name) user.firstName = claims.given_name;
+  if (claims.family_name) user.lastName = claims.family_name;
+  user.sso.lastLoginAt = new Date();
+
+  if (OIDC_ORGANIZATION_SLUG && !user.organization) {
+    const organization = await Organization.findOne({ slug: OIDC_ORGANIZATION_SLUG, isActive: true });
+    if (organization) {
+      user.organization = organization._id;
+      user.organizationRole = 'member';
+    }
+  }
+
+  await user.save();
+  return { user, created, previousRole };
+};
@@ -0,0 +1,246 @@
+import mongoose from 'mongoose';
+import { parse } from 'csv-parse/sync';
+import Package from '../models/Package.js';
+
+// --- Configuration ---
+export const MAX_IMPORT_ROWS = parseInt(process.env.PACKAGE_IMPORT_MAX_ROWS, 10) || 5000;
+const DUPLICATE_LOOKUP_BATCH = 1000;
+
+const PACKAGE_TYPES = ['cardboard', 'plastic', 'paper', 'fabric', 'composite'];
+const OBJECT_FIELDS = ['size', 'sustainability', 'manufacturer', 'handling'];
+
+/**
+ * Thrown when the upload as a whole can't be read, as opposed to a single bad row.
+ */
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+// CSV headers like `size.length` or `manufacturer.name` become nested objects;
+// empty cells are left out so schema defaults apply
+const expandCsvRecord = (record) => {
+  const row = {};
+
+  Object.entries(record).forEach(([header, value]) => {
+    if (value === '') return;
+
+    if (header === 'tags') {
+      row.tags = value.split(';').map(tag => tag.trim()).filter(Boolean);
+      return;
+    }
+
+    const [field, nested] = header.split('.');
+    if (nested) {
+      row[field] = { ...row[field], [nested]: value };
+    } else {
+      row[field] = value;
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Reads an uploaded batch into plain row objects.
+ * @param {string|Buffer} content - The file or request body.
+ * @param {'csv'|'json'} format
+ * @returns {object[]}
+ * @throws {ImportFormatError} When the content isn't valid CSV/JSON or has too many rows.
+ */
+export const parseImport = (content, format) => {
+  let rows;
+
+  if (format === 'csv') {
+    try {
+      rows = parse(content, { columns: true, bom: true, skip_empty_lines: true, trim: true })
+        .map(expandCsvRecord);
+    } catch (error) {
+      throw new ImportFormatError(`Invalid CSV: ${error.message}`);
+    }
+  } else if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      try {
+        data = JSON.parse(content.toString());
+      } catch (error) {
+        throw new ImportFormatError(`Invalid JSON: ${error.message}`);
+      }
+    }
+    rows = Array.isArray(data) ? data : data?.packages;
+    if (!Array.isArray(rows)) {
+      throw new ImportFormatError('JSON must be an array of packages or an object with a "packages" array');
+    }
+  } else {
+    throw new ImportFormatError('Unsupported format, expected csv or json');
+  }
+
+  if (rows.length === 0) {
+    throw new ImportFormatError('The import contains no packages');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportFormatError(`The import contains ${rows.length} packages; the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  return rows;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// The same rules POST /api/packages applies to a single package
+const validateRow = (row) => {
+  const errors = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return [{ field: null, message: 'Row must be an object' }];
+  }
+
+  if (!isNonEmptyString(row.packageId)) errors.push({ field: 'packageId', message: 'Package ID is required' });
+  if (!isNonEmptyString(row.rfidTag)) errors.push({ field: 'rfidTag', message: 'RFID tag is required' });
+  if (row.nfcTag !== undefined && !isNonEmptyString(row.nfcTag)) {
+    errors.push({ field: 'nfcTag', message: 'NFC tag must be a non-empty string' });
+  }
+  if (!PACKAGE_TYPES.includes(row.type)) errors.push({ field: 'type', message: 'Invalid package type' });
+  if (!isNonEmptyString(row.material)) errors.push({ field: 'material', message: 'Material is required' });
+
+  OBJECT_FIELDS.forEach(field => {
+    if (row[field] !== undefined && (typeof row[field] !== 'object' || row[field] === null || Array.isArray(row[field]))) {
+      errors.push({ field, message: `${field} must be an object` });
+    }
+  });
+
+  ['organization', 'logisticsOrganization'].forEach(field => {
+    if (row[field] !== undefined && !mongoose.isValidObjectId(row[field])) {
+      errors.push({ field, message: `Invalid ${field} ID` });
+    }
+  });
+
+  return errors;
+};
+
+// Existing values of `field` among `values`, looked up in batches
+const findExisting = async (field, values) => {
+  const existing = new Set();
+
+  for (let i = 0; i < values.length; i += DUPLICATE_LOOKUP_BATCH) {
+    const batch = values.slice(i, i + DUPLICATE_LOOKUP_BATCH);
+    const found = await Package.find({ [field]: { $in: batch } }).select(field).lean();
+    found.forEach(doc => existing.add(doc[field]));
+  }
+
+  return existing;
+};
+
+const DUPLICATE_KEYS = [
+  { field: 'packageId', normalize: value => value.toUpperCase() },
+  { field: 'rfidTag', normalize: value => value.toUpperCase() },
+  { field: 'nfcTag', normalize: value => value }
+];
+
+// Flags rows whose IDs or tags repeat earlier rows or match existing packages
+const checkDuplicates = async (entries) => {
+  for (const { field, normalize } of DUPLICATE_KEYS) {
+    const firstSeen = new Map();
+
+    entries.forEach(entry => {
+      if (entry.errors.length > 0 || entry.row[field] === undefined) return;
+
+      const value = normalize(entry.row[field]);
+      if (firstSeen.has(value)) {
+        entry.errors.push({ field, message: `Duplicate ${field} ${value} (also in row ${firstSeen.get(value)})` });
+      } else {
+        firstSeen.set(value, entry.rowNumber);
+      }
+    });
+
+    const existing = await findExisting(field, [...firstSeen.keys()]);
+    entries.forEach(entry => {
+      if (entry.errors.length > 0 || entry.row[field] === undefined) return;
+
+      const value = normalize(entry.row[field]);
+      if (existing.has(value)) {
+        entry.errors.push({ field, message: `A package with ${field} ${value} already exists` });
+      }
+    });
+  }
+};
+
+/**
+ * Validates a batch of packages and, unless it's a dry run, creates the valid ones.
+ * Rows are independent: one bad row doesn't stop the others.
+ *
+ * @param {object[]} rows - Parsed rows, see parseImport.
+ * @param {object} options
+ * @param {(row: object) => import('mongoose').Document} options.build - Builds an unsaved Package for a row.
+ * @param {boolean} [options.dryRun] - Validate only; nothing is written.
+ * @param {number} [options.firstRowNumber] - Number reported for the first row (2 for CSV, after the header).
+ * @returns {Promise<{dryRun: boolean, total: number, valid: number, created: number, failed: number,
+ *   rows: {row: number, packageId: string|null, status: 'valid'|'created'|'error', id?: string,
+ *   errors?: {field: string|null, message: string}[]}[]}>}
+ */
+export const importPackages = async (rows, { build, dryRun = false, firstRowNumber = 1 }) => {
+  const entries = rows.map((row, index) => ({
+    row,
+    rowNumber: index + firstRowNumber,
+    errors: validateRow(row),
+    document: null
+  }));
+
+  await checkDuplicates(entries);
+
+  // Let the schema cast and check what the field rules don't cover (numbers, booleans)
+  entries.forEach(entry => {
+    if (entry.errors.length > 0) return;
+
+    entry.document = build(entry.row);
+    const validationError = entry.document.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => {
+        entry.errors.push({ field: error.path, message: error.message });
+      });
+    }
+  });
+
+  const valid = entries.filter(entry => entry.errors.length === 0);
+
+  if (!dryRun && valid.length > 0) {
+    try {
+      await Package.insertMany(valid.map(entry => entry.document), { ordered: false });
+    } catch (error) {
+      // Another import or request may have taken a tag since the duplicate check
+      if (!error.writeErrors) throw error;
+
+      error.writeErrors.forEach(writeError => {
+        const entry = valid[writeError.index];
+        entry.errors.push({
+          field: null,
+          message: writeError.code === 11000 ? 'A package with this ID or tag already exists' : writeError.errmsg
+        });
+      });
+    }
+  }
+
+  const report = entries.map(entry => {
+    const packageId = typeof entry.row?.packageId === 'string' ? entry.row.packageId.toUpperCase() : null;
+
+    if (entry.errors.length > 0) {
+      return { row: entry.rowNumber, packageId, status: 'error', errors: entry.errors };
+    }
+    return dryRun
+      ? { row: entry.rowNumber, packageId, status: 'valid' }
+      : { row: entry.rowNumber, packageId, status: 'created', id: entry.document._id };
+  });
+
+  const failed = report.filter(row => row.status === 'error').length;
+
+  return {
+    dryRun,
+    total: entries.length,
+    valid: entries.length - failed,
+    created: dryRun ? 0 : entries.length - failed,
+    failed,
+    rows: report
+  };
+};
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+export const MAX_PAGE_SIZE = 100;
+
+// Sortable fields (request name -> document path). 'relevance' needs a search term.
+export const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  manufacturedAt: 'manufacturedAt',
+  deliveredAt: 'delivery.actualDelivery',
+  packageId: 'packageId',
+  environmentalScore: 'environmentalScore',
+  relevance: 'score'
+};
+
+// Fields a date range can apply to
+export const DATE_FIELDS = ['createdAt', 'updatedAt', 'manufacturedAt', 'deliveredAt'];
+
+// Top-level fields a sparse fieldset may ask for; packageId is always included
+export const SELECTABLE_FIELDS = [
+  'packageId', 'rfidTag', 'nfcTag', 'type', 'material', 'size', 'sustainability', 'environmentalScore',
+  'manufacturer', 'manufacturedAt', 'status', 'currentLocation', 'trackingHistory', 'organization',
+  'delivery', 'return', 'reuseCycles', 'handling', 'compliance', 'iotData', 'blockchain', 'analytics',
+  'tags', 'notes', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Thrown when a pagination cursor can't be decoded or doesn't belong to the requested sort.
+ */
+export class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort, its direction and the last row's position
+export const encodeCursor = (sortBy, sortOrder, row) => {
+  const value = SORT_FIELDS[sortBy].split('.').reduce((object, key) => object?.[key], row);
+  const position = {
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? { d: value.toISOString() } : (value ?? null),
+    id: String(row._id)
+  };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+export const decodeCursor = (cursor, sortBy, sortOrder) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (!position || !mongoose.isValidObjectId(position.id)) throw new CursorError('Malformed cursor');
+  if (position.s !== sortBy || position.o !== sortOrder) {
+    throw new CursorError('Cursor was issued for a different sort; start again without a cursor');
+  }
+
+  return {
+    value: position.v?.d ? new Date(position.v.d) : position.v,
+    id: new mongoose.Types.ObjectId(position.id)
+  };
+};
+
+// Rows strictly after the cursor position in (field, _id) order. Missing values sort lowest.
+const afterCursor = (field, descending, { value, id }) => {
+  const tieBreak = { [field]: value, _id: descending ? { $lt: id } : { $gt: id } };
+
+  if (value === null) {
+    return descending ? tieBreak : { $or: [{ [field]: { $ne: null } }, tieBreak] };
+  }
+
+  const beyond = { [field]: descending ? { $lt: value } : { $gt: value } };
+  // Descending from a value, rows missing the field still come after every real value
+  return { $or: descending ? [beyond, tieBreak, { [field]: null }] : [beyond, tieBreak] };
+};
+
+/**
+ * Builds the aggregation pipeline for one page of packages.
+ * @param {object} options
+ * @param {object} options.filter - Scoped match filter (must not contain $text)
+ * @param {string} [options.search] - Full-text search over the package_text_search index
+ * @param {string} options.sortBy - Key of SORT_FIELDS
+ * @param {'asc'|'desc'} options.sortOrder
+ * @param {{value: *, id: object}|null} [options.after] - Decoded cursor
+ * @param {number} [options.skip] - Legacy page offset, used only without a cursor
+ * @param {number} options.limit
+ * @param {string[]|null} [options.fields] - Sparse fieldset
+ * @returns {object[]}
+ */
+export const buildSearchPipeline = ({ filter, search, sortBy, sortOrder, after = null, skip = 0, limit, fields = null }) => {
+  const field = SORT_FIELDS[sortBy];
+  const descending = sortBy === 'relevance' || sortOrder === 'desc';
+  const direction = descending ? -1 : 1;
+
+  const pipeline = [
+    { $match: search ? { $text: { $search: search }, ...filter } : filter }
+  ];
+
+  if (search) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  if (after) pipeline.push({ $match: afterCursor(field, descending, after) });
+
+  pipeline.push({ $sort: { [field]: direction, _id: direction } });
+  if (!after && skip > 0) pipeline.push({ $skip: skip });
+  // One extra row tells whether there is a next page
+  pipeline.push({ $limit: limit + 1 });
+
+  if (fields) {
+    // The sort field stays so the next cursor can be built; it is stripped before responding
+    const projection = Object.fromEntries([...new Set(['packageId', ...fields])].map(name => [name, 1]));
+    if (search) projection.score = 1;
+    if (!projection[field.split('.')[0]]) projection[field] = 1;
+    pipeline.push({ $project: projection });
+  }
+
+  return pipeline;
+};
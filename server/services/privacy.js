@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import Package from '../models/Package.js';
+import Session from '../models/Session.js';
+import OneTimeToken from '../models/OneTimeToken.js';
+import MailOutbox from '../models/MailOutbox.js';
+import Notification from '../models/Notification.js';
+import PushSubscription from '../models/PushSubscription.js';
+import ReturnAssessment from '../models/ReturnAssessment.js';
+import TrackingLink from '../models/TrackingLink.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import ApiKey from '../models/ApiKey.js';
+
+// Account fields that are security state rather than personal data
+const INTERNAL_USER_FIELDS = ['password', 'loginSecurity', 'twoFactor', '__v'];
+
+/**
+ * Collects everything PackChain holds about a user into one plain object.
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @returns {Promise<object|null>} null if the user doesn't exist.
+ */
+export const buildDataExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [returnedPackages, receivedPackages, sessions, securityEvents, notifications] = await Promise.all([
+    Package.find({ $or: [{ 'return.returnedBy': userId }, { 'reuseCycles.return.returnedBy': userId }] })
+      .select('packageId type material status return reuseCycles analytics.environmentalImpact createdAt')
+      .lean(),
+    Package.find({ $or: [{ 'delivery.customerId': userId }, { 'reuseCycles.customerId': userId }] })
+      .select('packageId type material status delivery.deliveredAt reuseCycles createdAt')
+      .lean(),
+    Session.find({ user: userId })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt')
+      .lean(),
+    SecurityEvent.find({ user: userId })
+      .select('type ipAddress userAgent details createdAt')
+      .lean(),
+    Notification.find({ user: userId })
+      .select('event channel content.title content.body status sentAt readAt createdAt')
+      .lean()
+  ]);
+
+  // Only keep the reuse cycles this user took part in; the others belong to other customers
+  const isOwnCycle = (cycle) => String(cycle.customerId) === String(userId)
+    || String(cycle.return?.returnedBy) === String(userId);
+  [...returnedPackages, ...receivedPackages].forEach(pkg => {
+    pkg.reuseCycles = (pkg.reuseCycles || []).filter(isOwnCycle);
+    if (pkg.return && String(pkg.return.returnedBy) !== String(userId)) delete pkg.return;
+  });
+
+  const profile = { ...user };
+  INTERNAL_USER_FIELDS.forEach(field => delete profile[field]);
+  delete profile.achievements;
+  delete profile.badges;
+  profile.twoFactorEnabled = !!user.twoFactor?.enabled;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    packages: {
+      returned: returnedPackages,
+      received: receivedPackages
+    },
+    tokens: {
+      currentBalance: user.tokenBalance,
+      totalEarned: user.totalTokensEarned,
+      totalSpent: user.totalTokensSpent,
+      history: user.achievements
+    },
+    badges: user.badges,
+    sessions,
+    securityEvents,
+    notifications
+  };
+};
+
+/**
+ * Streams an export as a ZIP archive with one JSON file per section.
+ * @param {object} data - Result of buildDataExport.
+ * @param {import('stream').Writable} output - Usually the HTTP response.
+ * @returns {Promise<void>}
+ */
+export const writeExportArchive = (data, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  const files = {
+    'profile.json': data.profile,
+    'packages.json': data.packages,
+    'tokens.json': data.tokens,
+    'badges.json': data.badges,
+    'sessions.json': data.sessions,
+    'security-events.json': data.securityEvents,
+    'notifications.json': data.notifications
+  };
+
+  Object.entries(files).forEach(([name, content]) => {
+    archive.append(JSON.stringify(content, null, 2), { name, date: new Date(data.exportedAt) });
+  });
+
+  return archive.finalize();
+};
+
+/**
+ * Irreversibly anonymizes an account.
+ *
+ * Personal data is replaced or removed, but the user document itself stays so that
+ * package references (`return.returnedBy`, `delivery.customerId`, reuse cycles) keep resolving and
+ * token and sustainability totals still add up in analytics and leaderboards.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @param {object} [options]
+ * @param {import('mongoose').Types.ObjectId|null} [options.actorId] - Admin who erased the account, if not the user.
+ * @returns {Promise<boolean>} false if the user doesn't exist or was already erased.
+ */
+export const eraseUser = async (userId, { actorId = null } = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.erasedAt) return false;
+
+  const originalEmail = user.email;
+  const suffix = user._id.toString().slice(-16);
+
+  user.username = `deleted-${suffix}`;
+  user.email = `deleted-${user._id}@erased.invalid`;
+  // Nobody knows this password, so the account can never be signed in to again
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.firstName = 'Deleted';
+  user.lastName = 'User';
+  user.phone = undefined;
+  user.avatar = null;
+  user.walletAddress = undefined;
+  user.location = { city: undefined, state: undefined, country: undefined };
+  user.organization = null;
+  user.organizationRole = null;
+  user.twoFactor = { enabled: false };
+  user.preferences = {
+    notifications: { email: false, push: false, sms: false },
+    privacy: { shareData: false, publicProfile: false }
+  };
+  user.isVerified = false;
+  user.isActive = false;
+  user.erasedAt = new Date();
+  await user.save();
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    OneTimeToken.deleteMany({ user: user._id }),
+    MailOutbox.deleteMany({ to: originalEmail }),
+    Notification.deleteMany({ user: user._id }),
+    PushSubscription.deleteMany({ user: user._id }),
+    ApiKey.updateMany({ owner: user._id, revokedAt: null }, { revokedAt: new Date(), previousKeyHash: null }),
+    SecurityEvent.updateMany({ user: user._id }, { $unset: { ipAddress: 1, userAgent: 1 } }),
+    ReturnAssessment.updateMany({ user: user._id }, { $unset: { ipAddress: 1, userAgent: 1, deviceId: 1, location: 1 } }),
+    TrackingLink.updateMany({ createdBy: user._id, revokedAt: null }, { revokedAt: new Date() })
+  ]);
+
+  // Recorded after the scrub above so the erasure itself keeps no client details
+  await SecurityEvent.create({ type: 'account_erased', user: user._id, actor: actorId });
+
+  return true;
+};
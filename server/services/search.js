@@ -0,0 +1,10 @@
+// Escape user input so it matches literally inside a regular expression
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive "contains" condition for a free-text search term. The term is
+ * matched literally, so input like `(` can neither break the query nor make it backtrack.
+ * @param {string} search
+ * @returns {object} A `$regex` condition for one field
+ */
+export const containsText = (search) => ({ $regex: escapeRegex(String(search)), $options: 'i' });
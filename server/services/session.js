@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { generateToken, generateImpersonationToken, ACCESS_TOKEN_TTL } from '../middleware/auth.js';
+
+// --- Configuration ---
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+export const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES, 10) || 60;
+// Rotated-out refresh tokens remembered per session for reuse detection
+const REUSE_DETECTION_DEPTH = 10;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+  userAgent: req?.headers?.['user-agent'],
+  ipAddress: req?.ip
+});
+
+/**
+ * Refresh tokens are `<sessionId>.<secret>`: the id locates the session and
+ * only the hash of the secret is persisted.
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const buildTokenPair = (userId, session, secret) => ({
+  token: generateToken(userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+/**
+ * Opens a new session for a user and issues its first access/refresh token pair.
+ * @param {import('mongoose').Types.ObjectId} userId - The user signing in.
+ * @param {import('express').Request} [req] - Used to record the client's IP and user agent.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, sessionId: import('mongoose').Types.ObjectId}>}
+ */
+export const createSession = async (userId, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: Session.hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return buildTokenPair(userId, session, secret);
+};
+
+/**
+ * Opens a time-boxed session in which an admin acts as another user. No refresh
+ * token is issued, so the session ends when its single access token expires.
+ * @param {import('mongoose').Types.ObjectId} impersonatorId - The admin starting the impersonation.
+ * @param {import('mongoose').Types.ObjectId} userId - The user being impersonated.
+ * @param {object} options
+ * @param {string} options.reason - Why support needs to act as the user; kept on the session.
+ * @param {number} options.minutes - Lifetime, capped at IMPERSONATION_MAX_MINUTES.
+ * @param {import('express').Request} [req] - Used to record the admin's IP and user agent.
+ * @returns {Promise<{token: string, expiresIn: string, expiresAt: Date, sessionId: import('mongoose').Types.ObjectId}>}
+ */
+export const createImpersonationSession = async (impersonatorId, userId, { reason, minutes }, req) => {
+  const lifetimeMinutes = Math.min(minutes, IMPERSONATION_MAX_MINUTES);
+  const session = await Session.create({
+    user: userId,
+    // Never handed out; the hash only satisfies the schema
+    refreshTokenHash: Session.hashToken(newSecret()),
+    expiresAt: new Date(Date.now() + lifetimeMinutes * 60 * 1000),
+    impersonator: impersonatorId,
+    impersonationReason: reason,
+    ...clientInfo(req)
+  });
+
+  return {
+    token: generateImpersonationToken(userId, session._id, impersonatorId, lifetimeMinutes * 60),
+    expiresIn: `${lifetimeMinutes}m`,
+    expiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session, since
+ * it means the token was copied. A secret the session never issued is simply
+ * rejected, so knowing a session ID is not enough to end it.
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {import('express').Request} [req] - Used to record the client's IP and user agent.
+ * @returns {Promise<object|null>} The new token pair, or null if the token is not valid.
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const secret = newSecret();
+  const presentedHash = Session.hashToken(parsed.secret);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      impersonator: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: Session.hashToken(secret),
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -REUSE_DETECTION_DEPTH } },
+      $inc: { generation: 1 },
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+    if (existing && existing.isActive && existing.wasIssued(parsed.secret)) {
+      console.warn(`Refresh token reuse detected for session ${existing._id}, revoking`);
+      await existing.revoke('refresh_token_reuse');
+    }
+    return null;
+  }
+
+  return buildTokenPair(session.user, session, secret);
+};
+
+/**
+ * Revokes a single session, optionally only if it belongs to the given user.
+ * @param {string} sessionId - The session to revoke.
+ * @param {object} [options]
+ * @param {import('mongoose').Types.ObjectId} [options.userId] - Restrict to this user's sessions.
+ * @param {string} [options.reason] - Stored on the session for later investigation.
+ * @returns {Promise<import('mongoose').Document|null>} The revoked session, or null if not found.
+ */
+export const revokeSession = async (sessionId, { userId, reason = 'logout' } = {}) => {
+  const query = { _id: sessionId };
+  if (userId) query.user = userId;
+
+  const session = await Session.findOne(query);
+  if (!session) return null;
+
+  return session.revoke(reason);
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {import('mongoose').Types.ObjectId} userId - The user whose sessions are revoked.
+ * @param {object} [options]
+ * @param {string} [options.reason] - Stored on each session for later investigation.
+ * @param {import('mongoose').Types.ObjectId} [options.exceptSessionId] - A session to keep, e.g. the caller's own.
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+export const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  return result.modifiedCount;
+};
+
+/**
+ * Lists a user's active sessions in a shape safe to return to clients.
+ * @param {import('mongoose').Types.ObjectId} userId - The user whose sessions are listed.
+ * @param {string} [currentSessionId] - Marks the caller's own session.
+ * @returns {Promise<object[]>}
+ */
+export const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.findActiveForUser(userId);
+  return sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    impersonated: !!session.impersonator,
+    current: currentSessionId ? session._id.equals(currentSessionId) : false
+  }));
+};
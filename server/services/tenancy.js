@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import { hasPermission, isGranted } from '../middleware/authorize.js';
+
+/**
+ * Whether the caller sees data across every organization (admins by default).
+ * API keys never get the cross-org view unless granted `organization:all` explicitly.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export const isCrossOrg = (req) => isGranted(req, 'organization:all');
+
+/**
+ * The organization a request acts for: an org-scoped API key's organization,
+ * otherwise the user's own.
+ * @param {import('express').Request} req
+ * @returns {import('mongoose').Types.ObjectId|null}
+ */
+export const effectiveOrganization = (req) => req.apiKey?.scope?.organization || req.user?.organization || null;
+
+/**
+ * Mongo filter restricting packages to what the caller may see.
+ *
+ * - Cross-org callers see everything, optionally narrowed with `?organization=`.
+ * - Org members see packages their org owns or delivers.
+ * - Anyone else only sees packages they bought, returned or sell, in any reuse cycle.
+ *
+ * @param {import('express').Request} req
+ * @param {object} [options]
+ * @param {boolean} [options.allowLookup] - Let users without an org act on any single package.
+ *   Only for the return flow, where a customer hands back a box they were not the recipient of;
+ *   never use it to return the package's full details.
+ * @returns {object}
+ */
+export const packageScope = (req, { allowLookup = false } = {}) => {
+  if (isCrossOrg(req)) {
+    const { organization } = req.query || {};
+    // Cast here: the filter is also used in aggregation pipelines, which don't cast
+    return mongoose.isValidObjectId(organization)
+      ? { organization: new mongoose.Types.ObjectId(organization) }
+      : {};
+  }
+
+  const organization = effectiveOrganization(req);
+  if (organization) {
+    return {
+      $or: [
+        { organization },
+        { 'delivery.logisticsOrganization': organization }
+      ]
+    };
+  }
+
+  if (allowLookup) return {};
+
+  return {
+    $or: [
+      { 'delivery.customerId': req.user._id },
+      { 'return.returnedBy': req.user._id },
+      { 'reuseCycles.customerId': req.user._id },
+      { 'reuseCycles.return.returnedBy': req.user._id },
+      { 'delivery.sellerId': req.user._id }
+    ]
+  };
+};
+
+/**
+ * Combines a query with the caller's package scope without clobbering an existing `$or`.
+ * @param {import('express').Request} req
+ * @param {object} query
+ * @param {object} [options] - Passed to packageScope.
+ * @returns {object}
+ */
+export const scopePackageQuery = (req, query, options) => {
+  const scope = packageScope(req, options);
+  if (Object.keys(scope).length === 0) return query;
+  return { $and: [scope, query] };
+};
+
+/**
+ * Mongo filter restricting shipments to what the caller may see: everything for
+ * cross-org callers, their organization's shipments (as shipper or carrier) for
+ * org members, and otherwise only shipments they created.
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+export const shipmentScope = (req) => {
+  if (isCrossOrg(req)) {
+    const { organization } = req.query || {};
+    return mongoose.isValidObjectId(organization)
+      ? { $or: [{ organization }, { logisticsOrganization: organization }] }
+      : {};
+  }
+
+  const organization = effectiveOrganization(req);
+  if (organization) {
+    return {
+      $or: [
+        { organization },
+        { logisticsOrganization: organization }
+      ]
+    };
+  }
+
+  return { createdBy: req.user._id };
+};
+
+/**
+ * Mongo filter restricting user statistics to the caller's tenant: everyone for cross-org
+ * callers (optionally narrowed with `?organization=`), members of their organization for
+ * org members, and otherwise only the caller themselves.
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+export const userScope = (req) => {
+  if (isCrossOrg(req)) {
+    const { organization } = req.query || {};
+    return mongoose.isValidObjectId(organization)
+      ? { organization: new mongoose.Types.ObjectId(organization) }
+      : {};
+  }
+
+  // Cast here: the filter is also used in aggregation pipelines, which don't cast
+  const organization = effectiveOrganization(req);
+  if (organization) return { organization: new mongoose.Types.ObjectId(String(organization)) };
+
+  return { _id: req.user._id };
+};
+
+/**
+ * Combines a user query with the caller's user scope.
+ * @param {import('express').Request} req
+ * @param {object} query
+ * @returns {object}
+ */
+export const scopeUserQuery = (req, query) => ({ ...query, ...userScope(req) });
+
+/**
+ * IoT devices the caller may see: `null` means every device (cross-org view),
+ * otherwise the set of device IDs registered to the caller's organization.
+ * @param {import('express').Request} req
+ * @returns {Promise<Set<string>|null>}
+ */
+export const visibleDeviceIds = async (req) => {
+  if (isCrossOrg(req)) return null;
+
+  const organization = effectiveOrganization(req);
+  if (!organization) return new Set();
+
+  return new Set(await Device.idsForOrganization(organization));
+};
+
+/**
+ * Whether the caller may administer an organization: platform admins, or the org's
+ * own owners and admins.
+ * @param {object} user
+ * @param {import('mongoose').Types.ObjectId|string} organizationId
+ * @returns {boolean}
+ */
+export const canManageOrganization = (user, organizationId) => {
+  if (hasPermission(user, 'organization:manage')) return true;
+  return !!user.organization
+    && user.organization.equals(organizationId)
+    && ['owner', 'admin'].includes(user.organizationRole);
+};
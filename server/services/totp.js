@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+
+// --- Configuration ---
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'PackChain';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are encrypted at rest with AES-256-GCM; the key falls back to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'packchain-super-secret-key-2024')
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP with the RFC 6238 time step as the counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generates a new random base32 TOTP secret (160 bits, as recommended by RFC 4226).
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {string} secret - Base32 secret.
+ * @param {string} accountName - Shown in the authenticator app, usually the email.
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Checks a TOTP code against a secret within the allowed drift window.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code entered by the user.
+ * @param {number} [lastUsedStep] - Steps at or before this one are rejected to prevent replay.
+ * @returns {number|null} The matching time step, or null if the code is not valid.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = step + drift;
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generates one-time recovery codes and their hashes.
+ * @returns {{codes: string[], hashes: string[]}} Plain codes to show once, and hashes to store.
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Hashes a recovery code, ignoring case and the separator.
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Encrypts a TOTP secret for storage.
+ * @param {string} secret
+ * @returns {string} `iv:authTag:ciphertext`, hex encoded.
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypts a stored TOTP secret.
+ * @param {string} payload - Value produced by encryptSecret.
+ * @returns {string}
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Checks a second factor for a user with 2FA enabled and records its use.
+ * The user must be loaded with `+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes`.
+ * @param {import('mongoose').Document} user - The user signing in.
+ * @param {object} factor
+ * @param {string} [factor.code] - A TOTP code from the authenticator app.
+ * @param {string} [factor.recoveryCode] - One of the user's unused recovery codes.
+ * @returns {Promise<'totp'|'recovery'|null>} Which factor was accepted, or null if neither.
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+    if (step === null) return null;
+
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const entry = user.twoFactor.recoveryCodes.find(rc => rc.codeHash === codeHash && !rc.usedAt);
+    if (!entry) return null;
+
+    entry.usedAt = new Date();
+    await user.save();
+    return 'recovery';
+  }
+
+  return null;
+};
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import Package from '../models/Package.js';
+import TrackingLink from '../models/TrackingLink.js';
+import { generateTrackingToken, verifyTrackingToken } from '../middleware/auth.js';
+import { appLink } from './mail.js';
+import { estimateDelivery } from './eta.js';
+
+// --- Configuration ---
+export const TRACKING_LINK_TTL_DAYS = parseInt(process.env.TRACKING_LINK_TTL_DAYS, 10) || 30;
+export const TRACKING_LINK_MAX_DAYS = parseInt(process.env.TRACKING_LINK_MAX_DAYS, 10) || 90;
+// Requests per minute per IP to the public tracking endpoint
+export const PUBLIC_TRACKING_RATE_LIMIT = parseInt(process.env.PUBLIC_TRACKING_RATE_LIMIT, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Scans saved in the same request as a cycle change can land a moment after it
+const CYCLE_EDGE_MS = 60 * 1000;
+
+// A link covers the package's latest delivery, or the next one if it hasn't been dispatched yet
+export const linkCycle = (packageData) => packageData.reuseCycles.length || 1;
+
+export const trackingUrl = (token) => appLink(`/track/shared/${token}`);
+
+/**
+ * Issues a public tracking link for the package's current delivery.
+ * @param {object} packageData - Package document
+ * @param {import('mongoose').Types.ObjectId} userId - Who is sharing it
+ * @param {{days?: number, label?: string}} [options]
+ * @returns {Promise<{link: object, token: string, url: string}>}
+ */
+export const issueTrackingLink = async (packageData, userId, { days = TRACKING_LINK_TTL_DAYS, label } = {}) => {
+  const link = await TrackingLink.create({
+    package: packageData._id,
+    packageId: packageData.packageId,
+    cycle: linkCycle(packageData),
+    createdBy: userId,
+    label,
+    expiresAt: new Date(Date.now() + Math.min(days, TRACKING_LINK_MAX_DAYS) * DAY_MS)
+  });
+
+  const token = generateTrackingToken(link._id, link.expiresAt);
+  return { link, token, url: trackingUrl(token) };
+};
+
+/**
+ * Looks up the package behind a public tracking token.
+ * @returns {Promise<{link?: object, packageData?: object, reason?: 'invalid'|'expired'|'superseded'}>}
+ */
+export const resolveTrackingLink = async (token) => {
+  const decoded = verifyTrackingToken(token);
+  if (!decoded || !mongoose.isValidObjectId(decoded.linkId)) return { reason: 'invalid' };
+
+  const link = await TrackingLink.findById(decoded.linkId);
+  if (!link) return { reason: 'invalid' };
+  if (!link.isActive) return { reason: 'expired' };
+
+  const packageData = await Package.findOne({ _id: link.package, isActive: true });
+  if (!packageData) return { reason: 'invalid' };
+
+  // The package has gone out to someone else since the link was shared
+  if (packageData.reuseCycles.length > link.cycle) return { reason: 'superseded' };
+
+  return { link, packageData };
+};
+
+const place = (location) => {
+  if (!location?.city && !location?.state) return null;
+  return { city: location.city || null, state: location.state || null };
+};
+
+/**
+ * Builds the redacted view shown to anyone holding a tracking link: status, city-level
+ * history of the linked delivery only, ETA and environmental score. No user IDs,
+ * coordinates, facility details or notes.
+ */
+export const buildPublicView = async (packageData, link) => {
+  const cycle = packageData.reuseCycles.find(candidate => candidate.cycle === link.cycle);
+
+  let history = [];
+  if (cycle?.dispatchedAt) {
+    const from = cycle.dispatchedAt.getTime() - CYCLE_EDGE_MS;
+    const to = cycle.closedAt ? cycle.closedAt.getTime() + CYCLE_EDGE_MS : Infinity;
+
+    history = packageData.trackingHistory
+      .filter(entry => entry.timestamp >= from && entry.timestamp <= to)
+      .map(entry => ({ status: entry.status, location: place(entry.location), timestamp: entry.timestamp }))
+      // Repeated scans at the same place say nothing new at city level
+      .filter((entry, index, entries) => index === 0
+        || entry.status !== entries[index - 1].status
+        || JSON.stringify(entry.location) !== JSON.stringify(entries[index - 1].location));
+  }
+
+  // Until this delivery starts the package may still be wherever its last trip ended, and
+  // once it is returned where it goes next is no longer part of this delivery
+  const open = !!cycle && !cycle.closedAt;
+  const last = history[history.length - 1];
+
+  let eta = null;
+  const estimate = open ? await estimateDelivery(packageData) : null;
+  if (estimate) {
+    eta = {
+      expected: estimate.expected,
+      earliest: estimate.lower,
+      latest: estimate.upper,
+      confidence: estimate.confidence
+    };
+  }
+
+  return {
+    packageId: packageData.packageId,
+    type: packageData.type,
+    status: open || !last ? packageData.status : last.status,
+    currentLocation: open ? place(packageData.currentLocation) : last?.location || null,
+    dispatchedAt: cycle?.dispatchedAt || null,
+    deliveredAt: cycle?.deliveredAt || null,
+    eta,
+    history,
+    environmentalScore: Math.round(packageData.environmentalScore),
+    sustainability: {
+      recyclable: packageData.sustainability?.recyclable,
+      biodegradable: packageData.sustainability?.biodegradable,
+      recycledContent: packageData.sustainability?.recycledContent
+    },
+    linkExpiresAt: link.expiresAt
+  };
+};
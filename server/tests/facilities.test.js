@@ -0,0 +1,44 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Facility from '../models/Facility.js';
+import { resolveLocation, isOutsideFacilityScope } from '../services/facilities.js';
+
+const facility = (code) => Facility.hydrate({
+  code,
+  name: `Facility ${code}`,
+  type: 'warehouse',
+  location: { type: 'Point', coordinates: [77.6, 13.0] },
+  radius: 500
+});
+
+test('a facility-scoped key only resolves coordinates against its own facility', async (t) => {
+  t.after(() => mock.restoreAll());
+  const findContaining = mock.method(Facility, 'findContaining', async () => null);
+
+  const { location, facility: resolved } = await resolveLocation(
+    { coordinates: [77.7, 13.1], facility: 'WH-A' },
+    { facilityCode: 'wh-a' }
+  );
+
+  assert.equal(findContaining.mock.calls[0].arguments[2].code, 'wh-a');
+  assert.equal(resolved, null);
+  assert.equal(isOutsideFacilityScope('wh-a', location, resolved), true);
+});
+
+test('scans resolved to the key\'s facility are inside its scope', () => {
+  const location = { coordinates: [77.6, 13.0], facility: 'Facility WH-A' };
+
+  assert.equal(isOutsideFacilityScope('wh-a', location, facility('WH-A')), false);
+  assert.equal(isOutsideFacilityScope('wh-a', location, facility('WH-B')), true);
+  assert.equal(isOutsideFacilityScope(null, location, facility('WH-B')), false);
+});
+
+test('a named facility other than the key\'s is never looked up', async (t) => {
+  t.after(() => mock.restoreAll());
+  const findOne = mock.method(Facility, 'findOne', async () => facility('WH-B'));
+
+  const { location, facility: resolved } = await resolveLocation({ facility: 'WH-B' }, { facilityCode: 'WH-A' });
+
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(isOutsideFacilityScope('WH-A', location, resolved), true);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Package, { StatusTransitionError } from '../models/Package.js';
+
+// Documents are validated as on save, but nothing is written
+const stubSave = (doc) => {
+  doc.save = async function() {
+    await this.validate();
+    return this;
+  };
+  return doc;
+};
+
+const deliveredPackage = () => stubSave(Package.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  packageId: 'PKG-DEL-001',
+  rfidTag: 'RFID-DEL-001',
+  type: 'cardboard',
+  material: 'Recycled cardboard',
+  status: 'delivered',
+  currentLocation: { type: 'Point', coordinates: [77.59, 12.97] },
+  delivery: { customerId: new mongoose.Types.ObjectId(), orderId: 'ORDER-1' },
+  reuseCycles: [{ cycle: 1, dispatchedAt: new Date('2026-01-01'), deliveredAt: new Date('2026-01-03') }]
+}));
+
+const dropPoint = { type: 'Point', coordinates: [77.6, 13.0] };
+
+test('a delivered package cannot be marked returned through updateLocation', async () => {
+  const packageData = deliveredPackage();
+
+  await assert.rejects(async () => packageData.updateLocation(dropPoint, 'returned'), StatusTransitionError);
+  assert.equal(packageData.status, 'delivered');
+});
+
+test('processReturn closes the cycle so the next dispatch starts a new one', async () => {
+  const packageData = deliveredPackage();
+
+  await packageData.processReturn(new mongoose.Types.ObjectId(), dropPoint);
+  assert.equal(packageData.status, 'returned');
+  assert.ok(packageData.reuseCycles[0].closedAt);
+  assert.ok(packageData.reuseCycles[0].return.returnedAt);
+
+  await packageData.redispatch({ orderId: 'ORDER-2' });
+  assert.equal(packageData.reuseCycles.length, 2);
+  assert.equal(packageData.reuseCycles[1].orderId, 'ORDER-2');
+});
+
+test('an overridden return still closes the current cycle', async () => {
+  const packageData = deliveredPackage();
+
+  await packageData.updateLocation(dropPoint, 'returned', null, { override: true, reason: 'Box found at depot' });
+  assert.equal(packageData.status, 'returned');
+  assert.ok(packageData.reuseCycles[0].closedAt);
+});
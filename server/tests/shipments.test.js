@@ -0,0 +1,61 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Package from '../models/Package.js';
+import Shipment from '../models/Shipment.js';
+
+// Documents are validated as on save, but nothing is written
+const stubSave = (doc) => {
+  doc.save = async function() {
+    await this.validate();
+    return this;
+  };
+  return doc;
+};
+
+const returnedPackage = () => stubSave(Package.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  packageId: 'PKG-RET-001',
+  rfidTag: 'RFID-RET-001',
+  type: 'cardboard',
+  material: 'Recycled cardboard',
+  status: 'returned',
+  currentLocation: { type: 'Point', coordinates: [77.59, 12.97] },
+  delivery: { customerId: new mongoose.Types.ObjectId(), orderId: 'ORDER-1' },
+  reuseCycles: [{ cycle: 1, dispatchedAt: new Date('2026-01-01'), deliveredAt: new Date('2026-01-03'), closedAt: new Date('2026-01-05') }]
+}));
+
+test('dispatching a shipment redispatches its returned packages on a new cycle', async (t) => {
+  const packageData = returnedPackage();
+  t.after(() => mock.restoreAll());
+  mock.method(Package, 'find', async () => [packageData]);
+
+  const shipment = stubSave(new Shipment({ shipmentId: 'SHP-TEST-1', packages: [packageData._id] }));
+  const location = { type: 'Point', coordinates: [77.6, 13.0], city: 'Bengaluru' };
+
+  const [result] = await shipment.updateLocation(location, 'dispatched');
+
+  assert.equal(result.updated, true);
+  assert.equal(result.previousStatus, 'returned');
+  assert.equal(packageData.status, 'dispatched');
+  assert.equal(packageData.reuseCycles.length, 2);
+  assert.equal(packageData.delivery.customerId, undefined);
+  assert.equal(packageData.delivery.orderId, undefined);
+});
+
+test('returned packages dispatched with their shipment follow it to delivery', async (t) => {
+  const packageData = returnedPackage();
+  t.after(() => mock.restoreAll());
+  mock.method(Package, 'find', async () => [packageData]);
+
+  const shipment = stubSave(new Shipment({ shipmentId: 'SHP-TEST-2', packages: [packageData._id] }));
+  const location = { type: 'Point', coordinates: [77.6, 13.0] };
+
+  await shipment.updateLocation(location, 'dispatched');
+  await shipment.updateLocation(location, 'in_transit');
+  const [result] = await shipment.updateLocation(location, 'delivered');
+
+  assert.equal(result.updated, true);
+  assert.equal(packageData.status, 'delivered');
+  assert.ok(packageData.reuseCycles[1].deliveredAt);
+});
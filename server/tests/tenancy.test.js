@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { userScope } from '../services/tenancy.js';
+
+const organization = new mongoose.Types.ObjectId();
+
+test('org members only see user statistics for their own organization', () => {
+  const req = { user: { _id: new mongoose.Types.ObjectId(), role: 'seller', organization }, query: {} };
+
+  const scope = userScope(req);
+  assert.ok(scope.organization instanceof mongoose.Types.ObjectId);
+  assert.ok(scope.organization.equals(organization));
+});
+
+test('users without an organization only see themselves', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'seller', organization: null };
+
+  assert.deepEqual(userScope({ user, query: {} }), { _id: user._id });
+});
+
+test('admins keep the cross-org view, optionally narrowed to one organization', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  assert.deepEqual(userScope({ user, query: {} }), {});
+  assert.ok(userScope({ user, query: { organization: String(organization) } }).organization.equals(organization));
+});
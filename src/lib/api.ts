@@ -26,13 +26,42 @@ api.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by concurrent 401 responses
+let refreshRequest: Promise<string> | null = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error('No refresh token');
+
+  const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  setAuthToken(data.token, data.refreshToken);
+  return data.token as string;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const original = error.config;
+
+    if (error.response?.status === 401 && original && !original._retry && localStorage.getItem('refreshToken')) {
+      original._retry = true;
+      try {
+        refreshRequest = refreshRequest || refreshAccessToken();
+        const token = await refreshRequest;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        // Fall through to sign-out below
+      } finally {
+        refreshRequest = null;
+      }
+    }
+
     if (error.response?.status === 401) {
       // Token expired or invalid
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       window.location.href = '/login';
     }
@@ -45,10 +74,31 @@ export const authAPI = {
   register: (userData: any) => api.post('/auth/register', userData),
   login: (credentials: any) => api.post('/auth/login', credentials),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  refresh: (refreshToken: string) => api.post('/auth/refresh', { refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId: string) => api.delete(`/auth/sessions/${sessionId}`),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (data: any) => api.put('/auth/profile', data),
   changePassword: (data: any) => api.put('/auth/change-password', data),
   verifyToken: () => api.get('/auth/verify'),
+  verifyEmail: (token: string) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email: string) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (data: any) => api.post('/auth/reset-password', data),
+  confirmErasure: (token: string) => api.post('/auth/confirm-erasure', { token }),
+  getInvitation: (token: string) => api.get(`/auth/invitations/${token}`),
+  acceptInvite: (data: any) => api.post('/auth/accept-invite', data),
+  loginTwoFactor: (data: any) => api.post('/auth/login/2fa', data),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: (challengeToken?: string) => api.post('/auth/2fa/setup', { challengeToken }),
+  enableTwoFactor: (data: any) => api.post('/auth/2fa/enable', data),
+  disableTwoFactor: (data: any) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code: string) => api.post('/auth/2fa/recovery-codes', { code }),
+  getSsoConfig: () => api.get('/auth/oidc/config'),
+  // Full-page navigation target, not an XHR call: the server redirects to the identity provider
+  ssoLoginUrl: (returnTo = '/') => `${API_BASE_URL}/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`,
+  exchangeSsoCode: (code: string) => api.post('/auth/oidc/exchange', { code }),
 };
 
 // Package API
@@ -56,10 +106,33 @@ export const packageAPI = {
   getAll: (params?: any) => api.get('/packages', { params }),
   getById: (packageId: string) => api.get(`/packages/${packageId}`),
   create: (data: any) => api.post('/packages', data),
+  importFile: (file: File, dryRun = false) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/packages/import', formData, { params: { dryRun } });
+  },
+  importRows: (packages: any[], dryRun = false) =>
+    api.post('/packages/import', { packages }, { params: { dryRun } }),
   updateLocation: (packageId: string, data: any) => 
     api.put(`/packages/${packageId}/update-location`, data),
   return: (packageId: string, data: any) => 
     api.post(`/packages/${packageId}/return`, data),
+  redispatch: (packageId: string, data: any) =>
+    api.post(`/packages/${packageId}/redispatch`, data),
+  getCycles: (packageId: string) => api.get(`/packages/${packageId}/cycles`),
+  getEta: (packageId: string) => api.get(`/packages/${packageId}/eta`),
+  updateHandling: (packageId: string, data: any) => api.put(`/packages/${packageId}/handling`, data),
+  getCompliance: (packageId: string, params?: any) =>
+    api.get(`/packages/${packageId}/compliance`, { params }),
+  createTrackingLink: (packageId: string, data?: { expiresInDays?: number; label?: string }) =>
+    api.post(`/packages/${packageId}/tracking-links`, data),
+  getTrackingLinks: (packageId: string) => api.get(`/packages/${packageId}/tracking-links`),
+  revokeTrackingLink: (packageId: string, linkId: string) =>
+    api.delete(`/packages/${packageId}/tracking-links/${linkId}`),
+  getLabel: (packageId: string, params?: any) =>
+    api.get(`/packages/${packageId}/label`, { params, responseType: 'blob' }),
+  printLabels: (packageIds: string[], options?: any) =>
+    api.post('/packages/labels', { packageIds, ...options }, { responseType: 'blob' }),
   scan: (data: any) => api.post('/packages/scan', data),
   getByStatus: (status: string, limit?: number) => 
     api.get(`/packages/status/${status}`, { params: { limit } }),
@@ -72,6 +145,9 @@ export const packageAPI = {
 export const userAPI = {
   getProfile: () => api.get('/users/profile'),
   updateProfile: (data: any) => api.put('/users/profile', data),
+  exportData: (format: 'json' | 'zip' = 'json') =>
+    api.get('/users/profile/export', { params: { format }, responseType: 'blob' }),
+  requestErasure: (password: string) => api.post('/users/profile/erasure', { password }),
   getPackages: (params?: any) => api.get('/users/packages', { params }),
   getTokenTransactions: () => api.get('/users/tokens/transactions'),
   spendTokens: (data: any) => api.post('/users/tokens/spend', data),
@@ -81,6 +157,93 @@ export const userAPI = {
   getAll: (params?: any) => api.get('/users', { params }),
   getById: (userId: string) => api.get(`/users/${userId}`),
   update: (userId: string, data: any) => api.put(`/users/${userId}`, data),
+  erase: (userId: string) => api.post(`/users/${userId}/erase`),
+  impersonate: (userId: string, reason: string, minutes?: number) =>
+    api.post(`/users/${userId}/impersonate`, { reason, minutes }),
+};
+
+// API key management (admin)
+export const apiKeyAPI = {
+  getAll: (params?: any) => api.get('/api-keys', { params }),
+  create: (data: any) => api.post('/api-keys', data),
+  rotate: (keyId: string, graceHours?: number) => api.post(`/api-keys/${keyId}/rotate`, { graceHours }),
+  revoke: (keyId: string) => api.delete(`/api-keys/${keyId}`),
+};
+
+// Audit log API (admin)
+export const auditAPI = {
+  getEvents: (params?: any) => api.get('/audit', { params }),
+  verify: (params?: any) => api.get('/audit/verify', { params }),
+};
+
+// Return fraud review API (reviewers with fraud:review)
+export const returnReviewAPI = {
+  getAll: (params?: any) => api.get('/return-reviews', { params }),
+  getById: (reviewId: string) => api.get(`/return-reviews/${reviewId}`),
+  approve: (reviewId: string, notes?: string) => api.post(`/return-reviews/${reviewId}/approve`, { notes }),
+  reject: (reviewId: string, notes: string) => api.post(`/return-reviews/${reviewId}/reject`, { notes }),
+};
+
+// Staff invitations API (admins and organization owners)
+export const invitationAPI = {
+  getAll: (params?: any) => api.get('/invitations', { params }),
+  create: (data: any) => api.post('/invitations', data),
+  resend: (invitationId: string) => api.post(`/invitations/${invitationId}/resend`),
+  revoke: (invitationId: string) => api.delete(`/invitations/${invitationId}`),
+};
+
+// Notifications API
+export const notificationAPI = {
+  getAll: (params?: any) => api.get('/notifications', { params }),
+  markRead: (notificationId: string) => api.patch(`/notifications/${notificationId}/read`),
+  getPushPublicKey: () => api.get('/notifications/push/public-key'),
+  subscribePush: (subscription: any) => api.post('/notifications/push/subscriptions', subscription),
+  unsubscribePush: (endpoint: string) => api.delete('/notifications/push/subscriptions', { data: { endpoint } }),
+};
+
+// Public tracking API (shared links, no login)
+export const publicTrackingAPI = {
+  get: (token: string) => api.get(`/public/track/${token}`),
+};
+
+// Shipments API
+export const shipmentAPI = {
+  getAll: (params?: any) => api.get('/shipments', { params }),
+  getById: (shipmentId: string) => api.get(`/shipments/${shipmentId}`),
+  getTracking: (shipmentId: string) => api.get(`/shipments/${shipmentId}/tracking`),
+  getCompliance: (shipmentId: string) => api.get(`/shipments/${shipmentId}/compliance`),
+  create: (data: any) => api.post('/shipments', data),
+  addPackages: (shipmentId: string, packageIds: string[]) =>
+    api.post(`/shipments/${shipmentId}/packages`, { packageIds }),
+  removePackage: (shipmentId: string, packageId: string) =>
+    api.delete(`/shipments/${shipmentId}/packages/${packageId}`),
+  updateLocation: (shipmentId: string, data: any) => api.put(`/shipments/${shipmentId}/update-location`, data),
+  cancel: (shipmentId: string, reason?: string) => api.post(`/shipments/${shipmentId}/cancel`, { reason }),
+};
+
+// Facilities API
+export const facilityAPI = {
+  getAll: (params?: any) => api.get('/facilities', { params }),
+  getNearest: (longitude: number, latitude: number, params?: any) =>
+    api.get('/facilities/nearest', { params: { longitude, latitude, ...params } }),
+  getById: (facilityId: string) => api.get(`/facilities/${facilityId}`),
+  create: (data: any) => api.post('/facilities', data),
+  update: (facilityId: string, data: any) => api.put(`/facilities/${facilityId}`, data),
+  deactivate: (facilityId: string) => api.delete(`/facilities/${facilityId}`),
+};
+
+// Organizations API
+export const organizationAPI = {
+  getAll: (params?: any) => api.get('/organizations', { params }),
+  getById: (orgId: string) => api.get(`/organizations/${orgId}`),
+  create: (data: any) => api.post('/organizations', data),
+  update: (orgId: string, data: any) => api.put(`/organizations/${orgId}`, data),
+  getMembers: (orgId: string) => api.get(`/organizations/${orgId}/members`),
+  addMember: (orgId: string, userId: string, organizationRole?: string) =>
+    api.post(`/organizations/${orgId}/members`, { userId, organizationRole }),
+  updateMember: (orgId: string, userId: string, organizationRole: string) =>
+    api.patch(`/organizations/${orgId}/members/${userId}`, { organizationRole }),
+  removeMember: (orgId: string, userId: string) => api.delete(`/organizations/${orgId}/members/${userId}`),
 };
 
 // Blockchain API
@@ -106,6 +269,7 @@ export const iotAPI = {
   getAnalytics: () => api.get('/iot/analytics'),
   simulateUpdate: (data: any) => api.post('/iot/simulate-update', data),
   getAlerts: () => api.get('/iot/alerts'),
+  registerDevice: (data: any) => api.post('/iot/devices', data),
 };
 
 // Analytics API
@@ -116,6 +280,9 @@ export const analyticsAPI = {
   getEngagement: () => api.get('/analytics/engagement'),
   getLifecycle: () => api.get('/analytics/lifecycle'),
   getRealtime: () => api.get('/analytics/realtime'),
+  getEtaAccuracy: (period?: string) =>
+    api.get('/analytics/eta', { params: { period } }),
+  relearnEta: () => api.post('/analytics/eta/relearn'),
 };
 
 // Health check
@@ -141,13 +308,15 @@ export const connectSocket = () => {
 };
 
 // Utility functions
-export const setAuthToken = (token: string) => {
+export const setAuthToken = (token: string, refreshToken?: string) => {
   localStorage.setItem('authToken', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
   api.defaults.headers.common.Authorization = `Bearer ${token}`;
 };
 
 export const removeAuthToken = () => {
   localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
   delete api.defaults.headers.common.Authorization;
 };
 